@@ -18,14 +18,31 @@
  *   - No native tool injection needed (Gemini CLI has its own tool management)
  */
 
-import { createServer } from "node:http";
+import { createServer, request as httpRequest } from "node:http";
+import { request as httpsRequest } from "node:https";
+import { lookup } from "node:dns";
+import { BlockList, isIP } from "node:net";
 import { spawn } from "node:child_process";
-import { randomUUID } from "node:crypto";
-import { writeFileSync, unlinkSync, mkdtempSync, createReadStream, rmdirSync } from "node:fs";
-import { join } from "node:path";
+import { randomUUID, createHash } from "node:crypto";
+import {
+    writeFileSync, readFileSync, existsSync, unlinkSync, mkdtempSync, mkdirSync, renameSync,
+    createReadStream, rmdirSync, rmSync, appendFileSync, readdirSync, statSync, realpathSync,
+} from "node:fs";
+import { join, dirname, resolve, sep } from "node:path";
 import { tmpdir } from "node:os";
+import { fileURLToPath } from "node:url";
+import { isDeepStrictEqual } from "node:util";
 
 // ─── Configuration ───────────────────────────────────────────────
+const SCRIPT_DIR = dirname(fileURLToPath(import.meta.url));
+
+// Structured settings (API keys and their policies, CORS origins) live in an
+// optional JSON file; see bridge.config.example.json.
+const FILE_CONFIG = loadConfigFile(process.env.BRIDGE_CONFIG_FILE);
+
+// Approval modes from most to least restrictive
+const APPROVAL_MODES = ["plan", "default", "auto_edit", "yolo"];
+
 const CONFIG = {
     port: parseInt(process.env.BRIDGE_PORT || "18791"),
     host: process.env.BRIDGE_HOST || "127.0.0.1",
@@ -37,24 +54,214 @@ const CONFIG = {
     // Note: 'plan' mode requires gemini CLI experimental settings
     approvalMode: process.env.GEMINI_APPROVAL_MODE || "yolo",
     timeoutMs: parseInt(process.env.BRIDGE_TIMEOUT_MS || "300000"), // 5 minutes
+    // On SIGINT / SIGTERM, how long running requests may take to finish
+    shutdownGraceMs: parseInt(process.env.BRIDGE_SHUTDOWN_GRACE_MS || "30000"),
     // Maximum prompt length (chars) to pass as CLI argument.
     // Above this, prompt is written to a temp file and piped via stdin.
     maxArgLen: parseInt(process.env.BRIDGE_MAX_ARG_LEN || "32768"),
     // Token estimation ratio: chars per token (lower = more conservative)
     charsPerToken: parseFloat(process.env.BRIDGE_CHARS_PER_TOKEN || "3.5"),
+    // Over-long prompts: "reject" (400), "truncate" (drop oldest turns) or
+    // "summarize" (replace oldest turns with a summary from contextSummaryModel)
+    contextStrategy: process.env.BRIDGE_CONTEXT_STRATEGY || "reject",
+    contextSummaryModel: process.env.BRIDGE_CONTEXT_SUMMARY_MODEL || "gemini-2.5-flash",
+    contextSummaryTokens: parseInt(process.env.BRIDGE_CONTEXT_SUMMARY_TOKENS || "1024"),
+    // Tokens kept free for Gemini CLI's own system prompt and tool declarations
+    contextOverheadTokens: parseInt(process.env.BRIDGE_CONTEXT_OVERHEAD_TOKENS || "8192"),
+    // Most choices (`n`) per chat completion; each runs its own Gemini CLI process
+    maxChoices: parseInt(process.env.BRIDGE_MAX_CHOICES || "4"),
+    // Extra attempts when a reply doesn't match the request's response_format
+    responseFormatRetries: parseInt(process.env.BRIDGE_RESPONSE_FORMAT_RETRIES || "1"),
+    // Pass temperature / top_p / top_k / seed to Gemini CLI in a generated
+    // settings file (needs a CLI with modelConfigs support); "0" ignores them
+    samplingSettings: process.env.BRIDGE_SAMPLING_SETTINGS !== "0",
+    // Activity reports for streaming requests that don't pick a mode:
+    // "off", "reasoning" or "events" (see Activity reporting)
+    activity: process.env.BRIDGE_ACTIVITY || "off",
+    // Interval of SSE keep-alive comments on streaming responses (0 = off)
+    heartbeatMs: parseInt(process.env.BRIDGE_HEARTBEAT_MS || "15000"),
     // Working directory for Gemini CLI (affects file access scope)
     workingDir: process.env.GEMINI_WORKING_DIR || process.env.HOME,
+    // Multimodal attachments (image_url / input_audio / file content parts)
+    maxAttachmentBytes: parseInt(process.env.BRIDGE_MAX_ATTACHMENT_BYTES || "20971520"), // 20 MB each
+    maxAttachmentsTotalBytes: parseInt(process.env.BRIDGE_MAX_ATTACHMENTS_TOTAL_BYTES || "52428800"), // 50 MB per request
+    attachmentTypes: (process.env.BRIDGE_ATTACHMENT_TYPES ||
+        "image/png,image/jpeg,image/webp,image/gif,image/heic,image/heif," +
+        "audio/wav,audio/mpeg,audio/aac,audio/ogg,audio/flac,application/pdf,text/plain")
+        .split(",").map((t) => t.trim()).filter(Boolean),
+    // Downloading http(s) attachment URLs is opt-in; private and loopback
+    // addresses are never fetched, and a host list narrows it further
+    attachmentFetch: process.env.BRIDGE_ATTACHMENT_FETCH === "1",
+    attachmentFetchHosts: (process.env.BRIDGE_ATTACHMENT_FETCH_HOSTS || "").split(",").map((h) => h.trim().toLowerCase()).filter(Boolean),
+    attachmentFetchTimeoutMs: parseInt(process.env.BRIDGE_ATTACHMENT_FETCH_TIMEOUT_MS || "30000"),
+    // Concurrency: max Gemini CLI processes overall and per model (0 = no per-model cap).
+    // Requests over the limit wait in a FIFO queue; a full queue or a wait
+    // longer than queueTimeoutMs is answered with 429 + Retry-After.
+    maxConcurrent: parseInt(process.env.BRIDGE_MAX_CONCURRENT || "4"),
+    maxConcurrentPerModel: parseInt(process.env.BRIDGE_MAX_CONCURRENT_PER_MODEL || "0"),
+    queueMaxDepth: parseInt(process.env.BRIDGE_QUEUE_MAX || "32"),
+    queueTimeoutMs: parseInt(process.env.BRIDGE_QUEUE_TIMEOUT_MS || "60000"),
+    retryAfterSec: parseInt(process.env.BRIDGE_RETRY_AFTER_S || "10"),
+    // Model fallback on capacity / rate-limit errors, e.g.
+    //   "gemini-3-pro-preview>gemini-3-flash-preview>gemini-2.5-pro"
+    // Separate several chains with ",". Each model falls back to the ones after it.
+    fallbackChains: parseFallbackChains(process.env.BRIDGE_FALLBACK_CHAIN || ""),
+    // Extra attempts on the same model before moving down the chain
+    fallbackRetries: parseInt(process.env.BRIDGE_FALLBACK_RETRIES || "0"),
+    // Backoff before the n-th retry: retryBackoffMs * 2^(n-1)
+    retryBackoffMs: parseInt(process.env.BRIDGE_RETRY_BACKOFF_MS || "1000"),
+    // Credential profiles (config file "credentials"): how a run picks one,
+    // "round-robin" or "least-throttled", and how long a rate-limited
+    // profile rests (at least; longer if the API asks for it)
+    credentialStrategy: FILE_CONFIG.credentialStrategy || process.env.BRIDGE_CREDENTIAL_STRATEGY || "round-robin",
+    credentialCooldownMs: parseInt(process.env.BRIDGE_CREDENTIAL_COOLDOWN_MS || "60000"),
+    // Warm pool: Gemini CLI processes started ahead of time for each
+    // "model" or "model:approvalMode" in warmPoolModels (default: the default
+    // model and mode), replaced when taken and recycled after warmPoolTtlMs
+    // idle. 0 = off.
+    warmPoolSize: parseInt(process.env.BRIDGE_WARM_POOL_SIZE || "0"),
+    warmPoolModels: (process.env.BRIDGE_WARM_POOL_MODELS || "").split(",").map((m) => m.trim()).filter(Boolean),
+    warmPoolTtlMs: parseInt(process.env.BRIDGE_WARM_POOL_TTL_MS || "600000"), // 10 minutes
+    // Approval modes requests may select (per request or per workspace)
+    allowedApprovalModes: FILE_CONFIG.allowedApprovalModes ||
+        (process.env.BRIDGE_ALLOWED_APPROVAL_MODES || APPROVAL_MODES.join(",")).split(",").map((m) => m.trim()).filter(Boolean),
+    // Local state (session and response stores, usage ledger, cache) lives here
+    dataDir: process.env.BRIDGE_DATA_DIR || join(SCRIPT_DIR, "data"),
+    // Conversation session reuse: resume the Gemini CLI session of a known
+    // conversation and send only the new turns instead of the full history
+    sessionReuse: process.env.BRIDGE_SESSION_REUSE === "1",
+    sessionTtlMs: parseInt(process.env.BRIDGE_SESSION_TTL_MS || "21600000"), // 6 hours
+    sessionMaxEntries: parseInt(process.env.BRIDGE_SESSION_MAX_ENTRIES || "1000"),
+    // Responses API store (previous_response_id)
+    responseTtlMs: parseInt(process.env.BRIDGE_RESPONSE_TTL_MS || "604800000"), // 7 days
+    responseMaxEntries: parseInt(process.env.BRIDGE_RESPONSE_MAX_ENTRIES || "1000"),
+    responseMaxBytes: parseInt(process.env.BRIDGE_RESPONSE_MAX_BYTES || "52428800"), // 50 MB
+    // Response cache for identical requests (opt-in)
+    cacheEnabled: process.env.BRIDGE_CACHE === "1",
+    cacheTtlMs: parseInt(process.env.BRIDGE_CACHE_TTL_MS || "3600000"), // 1 hour
+    cacheMaxBytes: parseInt(process.env.BRIDGE_CACHE_MAX_BYTES || "52428800"), // 50 MB
+    // Daily quotas for the whole bridge (0 = unlimited); keys can have their own
+    dailyRequestQuota: parseInt(process.env.BRIDGE_DAILY_REQUEST_QUOTA || "0"),
+    dailyTokenQuota: parseInt(process.env.BRIDGE_DAILY_TOKEN_QUOTA || "0"),
+    // Log output: "text" (default) or "json" (one object per line)
+    logFormat: process.env.BRIDGE_LOG_FORMAT === "json" ? "json" : "text",
+    logLevel: (process.env.BRIDGE_LOG_LEVEL || "info").toLowerCase(),
+    // Log prompt text and tool arguments at debug level (off: only sizes)
+    logPrompts: process.env.BRIDGE_LOG_PROMPTS === "1",
+    // Browser origins allowed via CORS ("*" = any). Empty = no CORS headers.
+    corsOrigins: FILE_CONFIG.corsOrigins ||
+        (process.env.BRIDGE_CORS_ORIGINS || "").split(",").map((o) => o.trim()).filter(Boolean),
 };
 
-// Supported models that this bridge can serve
-// These are advertised via GET /v1/models and used for dynamic model switching
-const SUPPORTED_MODELS = [
-    { id: "gemini-3-pro-preview", name: "Gemini 3 Pro Preview" },
-    { id: "gemini-3-flash-preview", name: "Gemini 3 Flash Preview" },
+// ─── Logging ─────────────────────────────────────────────────────
+// log.info(message, fields) etc. The default text format prints the
+// message (and an indented `detail`, e.g. CLI stderr); BRIDGE_LOG_FORMAT=json
+// writes one JSON object per line with all fields. Known secret formats are
+// masked in both. Prompt text and tool arguments are only logged, at debug
+// level, with BRIDGE_LOG_PROMPTS=1.
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const SECRET_PATTERNS = [
+    /AIza[0-9A-Za-z_-]{35}/g, // Google API keys
+    /ya29\.[0-9A-Za-z_.-]+/g, // Google OAuth access tokens
+    /\b(Bearer\s+)[^\s"']+/gi,
+    /\b((?:api[_-]?key|access[_-]?token|refresh[_-]?token|client[_-]?secret|password|secret)["']?\s*[:=]\s*["']?)[^\s"',}]+/gi,
 ];
+const SECRET_VALUES = [process.env.GEMINI_API_KEY, process.env.GOOGLE_API_KEY].filter((value) => value?.length >= 8);
+
+// requestId → callback receiving each of the request's log entries (see In-flight requests)
+const logTaps = new Map();
+
+/**
+ * Mask secrets in a log string.
+ */
+function redact(text) {
+    let out = String(text);
+    for (const value of SECRET_VALUES) out = out.split(value).join("[REDACTED]");
+    for (const pattern of SECRET_PATTERNS) {
+        // Keep the "Bearer " / "api_key=" prefix when the pattern captures one
+        out = out.replace(pattern, (match, prefix) => (typeof prefix === "string" ? `${prefix}[REDACTED]` : "[REDACTED]"));
+    }
+    return out;
+}
+
+/**
+ * Write one log entry at `level` if it passes BRIDGE_LOG_LEVEL.
+ */
+function writeLog(level, message, fields = {}) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(CONFIG.logLevel)) return;
+    const out = level === "warn" || level === "error" ? process.stderr : process.stdout;
+    const time = new Date().toISOString();
+    const tap = logTaps.get(fields.requestId);
+
+    if (CONFIG.logFormat === "json" || tap) {
+        const entry = { time, level, msg: redact(message) };
+        for (const [key, value] of Object.entries(fields)) {
+            if (value !== undefined) entry[key] = typeof value === "string" ? redact(value) : value;
+        }
+        tap?.(entry);
+        if (CONFIG.logFormat === "json") {
+            out.write(JSON.stringify(entry) + "\n");
+            return;
+        }
+    }
+
+    let line = `[${time}] ${message}`;
+    if (fields.detail) {
+        line += "\n" + String(fields.detail).trim().split("\n").map((l) => `    ${l}`).join("\n");
+    }
+    out.write(redact(line) + "\n");
+}
+
+const log = Object.fromEntries(
+    LOG_LEVELS.map((level) => [level, (message, fields) => writeLog(level, message, fields)])
+);
+
+if (!LOG_LEVELS.includes(CONFIG.logLevel)) {
+    log.error(`✗ Unknown BRIDGE_LOG_LEVEL "${CONFIG.logLevel}" (expected one of: ${LOG_LEVELS.join(", ")})`, { event: "config.invalid" });
+    process.exit(1);
+}
+
+/**
+ * Last `max` characters of CLI stderr for the log (never sent to clients).
+ */
+function stderrExcerpt(stderr, max = 2000) {
+    const text = (stderr || "").trim();
+    return text.length > max ? `…${text.slice(-max)}` : text || undefined;
+}
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * The request's X-Request-Id if it is a sane token, else a new UUID.
+ */
+function requestIdFor(req) {
+    const id = req.headers["x-request-id"];
+    return typeof id === "string" && REQUEST_ID_PATTERN.test(id) ? id : randomUUID();
+}
 
 // ─── Helpers ─────────────────────────────────────────────────────
 
+/**
+ * True for a JSON object (not null or an array).
+ */
+function isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * `dir` as an absolute path with symlinks resolved, or just made absolute
+ * if it can't be read.
+ */
+function realPath(dir) {
+    try {
+        return realpathSync(dir);
+    } catch {
+        return resolve(dir);
+    }
+}
+
 /**
  * Extract text content from an OpenAI message content field
  * (handles both string and array-of-content-parts formats)
@@ -70,23 +277,74 @@ function getContent(msg) {
     return String(msg.content ?? "");
 }
 
+/**
+ * Load the optional JSON config file. Without an explicit path,
+ * bridge.config.json next to this script is used if it exists.
+ */
+function loadConfigFile(path) {
+    const file = path || join(SCRIPT_DIR, "bridge.config.json");
+    if (!existsSync(file)) {
+        if (path) {
+            console.error(`✗ Config file not found: ${file}`);
+            process.exit(1);
+        }
+        return {};
+    }
+    try {
+        return JSON.parse(readFileSync(file, "utf8"));
+    } catch (err) {
+        console.error(`✗ Failed to read config file ${file}: ${err.message}`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Parse BRIDGE_FALLBACK_CHAIN ("a>b>c,x>y") into a Map of model → fallback models.
+ * In "a>b>c", a falls back to [b, c] and b to [c]. The first chain naming a model wins.
+ */
+function parseFallbackChains(spec) {
+    const chains = new Map();
+    for (const chain of spec.split(",")) {
+        const models = chain.split(">").map((m) => m.trim()).filter(Boolean);
+        models.forEach((model, i) => {
+            if (i < models.length - 1 && !chains.has(model)) chains.set(model, models.slice(i + 1));
+        });
+    }
+    return chains;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// CJK characters: about one token each rather than CONFIG.charsPerToken
+const WIDE_CHAR_PATTERN = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/g;
+
 /**
  * Estimate token count from a string.
  */
 function estimateTokens(text) {
     if (!text) return 0;
-    return Math.ceil(text.length / CONFIG.charsPerToken);
+    const wide = text.match(WIDE_CHAR_PATTERN)?.length || 0;
+    return Math.ceil(wide + (text.length - wide) / CONFIG.charsPerToken);
 }
 
 /**
  * Convert OpenAI-format messages to a single prompt string for Gemini CLI.
+ * When `tools` is non-empty, a tool-calling instruction block is injected
+ * after the system instructions (see buildToolInstructions).
+ * With `continuation`, `messages` are only the new turns of a resumed
+ * session, so the default system instruction and tool block are omitted.
+ * A `responseFormat` (see resolveResponseFormat) is described at the end.
  */
-function messagesToPrompt(messages) {
+function messagesToPrompt(messages, { tools = [], toolChoice = "auto", parallelToolCalls = true, continuation = false, responseFormat = null } = {}) {
     const parts = [];
 
+    // Remember tool names by call id so tool results can be labelled
+    const toolNamesById = new Map();
+
     for (const msg of messages) {
         const content = getContent(msg);
-        if (!content) continue;
+        const toolCalls = msg.role === "assistant" && Array.isArray(msg.tool_calls) ? msg.tool_calls : [];
+        if (!content && !toolCalls.length) continue;
 
         switch (msg.role) {
             case "system":
@@ -96,16 +354,26 @@ function messagesToPrompt(messages) {
                 parts.push(`[User]\n${content}`);
                 break;
             case "assistant":
-                parts.push(`[Assistant]\n${content}`);
+                for (const call of toolCalls) {
+                    if (call?.id) toolNamesById.set(call.id, call.function?.name);
+                }
+                parts.push(`[Assistant]\n${[content, formatToolCalls(toolCalls)].filter(Boolean).join("\n")}`);
                 break;
-            case "tool":
-                parts.push(`[Tool Result (${msg.tool_call_id || "unknown"})]\n${content}`);
+            case "tool": {
+                const name = toolNamesById.get(msg.tool_call_id) || msg.name;
+                parts.push(`[Tool Result (${msg.tool_call_id || "unknown"}${name ? `, ${name}` : ""})]\n${content}`);
                 break;
+            }
             default:
                 parts.push(content);
         }
     }
 
+    const formatInstructions = buildResponseFormatInstructions(responseFormat);
+    if (formatInstructions) parts.push(formatInstructions);
+
+    if (continuation) return parts.join("\n\n");
+
     // Inject default system instruction if not present or append to it
     const defaultSystem = "You are a helpful AI assistant. IMPORTANT: When you use tools, you MUST use the tool output to generate a complete, helpful response to the user. Do not stop after just stating your intent to use a tool.";
 
@@ -118,9 +386,503 @@ function messagesToPrompt(messages) {
         parts.unshift(`[System Instructions]\n${defaultSystem}\n[End System Instructions]`);
     }
 
+    // Tool definitions go right after the leading system instructions
+    const toolInstructions = buildToolInstructions(tools, toolChoice, parallelToolCalls);
+    if (toolInstructions) {
+        let insertAt = 0;
+        while (insertAt < parts.length && parts[insertAt].startsWith("[System Instructions]")) insertAt++;
+        parts.splice(insertAt, 0, toolInstructions);
+    }
+
     return parts.join("\n\n");
 }
 
+// ─── Tool calling ────────────────────────────────────────────────
+// Client-side tools (OpenAI `tools`) are described to Gemini in the prompt.
+// The model asks for a call by emitting <tool_call>{...}</tool_call> blocks,
+// which the bridge turns back into OpenAI `tool_calls`.
+
+const TOOL_CALL_OPEN = "<tool_call>";
+const TOOL_CALL_CLOSE = "</tool_call>";
+
+/**
+ * Validate the request's `tools` array and return the function definitions.
+ * Throws a RequestError (400) for malformed entries.
+ */
+function normalizeTools(tools) {
+    if (tools == null) return [];
+    if (!Array.isArray(tools)) {
+        throw new RequestError(400, "'tools' must be an array", "invalid_request");
+    }
+    return tools.map((tool, i) => {
+        const fn = tool?.function;
+        if (tool?.type !== "function" || !fn?.name) {
+            throw new RequestError(400, `tools[${i}] must be {type: "function", function: {name, ...}}`, "invalid_request");
+        }
+        return { name: fn.name, description: fn.description || "", parameters: fn.parameters || { type: "object", properties: {} } };
+    });
+}
+
+/**
+ * Build the prompt block describing the available tools and how to call them.
+ * Returns "" when there is nothing to describe.
+ */
+function buildToolInstructions(tools, toolChoice = "auto", parallelToolCalls = true) {
+    if (!tools.length) return "";
+
+    const lines = [
+        "[Available Tools]",
+        "The client can run the tools listed below on your behalf. To call one, reply with a block in exactly this format:",
+        `${TOOL_CALL_OPEN}{"name": "<tool name>", "arguments": {<arguments as JSON>}}${TOOL_CALL_CLOSE}`,
+        "Put any short explanation before the block and nothing after it. Then stop: the result will arrive in the next turn as a [Tool Result] message.",
+        "Only call the tools listed here, and only when they are needed to answer.",
+    ];
+    if (!parallelToolCalls) {
+        lines.push("Call at most one tool per reply.");
+    }
+    if (toolChoice === "required") {
+        lines.push("You MUST call at least one tool in this reply.");
+    } else if (toolChoice?.type === "function" && toolChoice.function?.name) {
+        lines.push(`You MUST call the tool "${toolChoice.function.name}" in this reply.`);
+    }
+    lines.push("");
+    for (const tool of tools) {
+        lines.push(`- ${tool.name}${tool.description ? `: ${tool.description}` : ""}`);
+        lines.push(`  Parameters (JSON Schema): ${JSON.stringify(tool.parameters)}`);
+    }
+    lines.push("[End Available Tools]");
+
+    return lines.join("\n");
+}
+
+/**
+ * Render an assistant message's tool_calls in the same format the model emits,
+ * so earlier calls are replayed faithfully on the next turn.
+ */
+function formatToolCalls(toolCalls) {
+    return toolCalls
+        .filter((call) => call?.function?.name)
+        .map((call) => {
+            let args = call.function.arguments ?? "{}";
+            try {
+                args = JSON.parse(args);
+            } catch { }
+            return `${TOOL_CALL_OPEN}${JSON.stringify({ id: call.id, name: call.function.name, arguments: args })}${TOOL_CALL_CLOSE}`;
+        })
+        .join("\n");
+}
+
+/**
+ * Split model output into plain text and OpenAI-format tool calls.
+ * Blocks naming tools that were not declared are left in the text.
+ */
+function parseToolCalls(text, tools) {
+    const known = new Set(tools.map((t) => t.name));
+    const toolCalls = [];
+    let content = "";
+    let pos = 0;
+
+    while (pos < text.length) {
+        const start = text.indexOf(TOOL_CALL_OPEN, pos);
+        if (start < 0) break;
+        const end = text.indexOf(TOOL_CALL_CLOSE, start);
+        const bodyEnd = end < 0 ? text.length : end;
+        const blockEnd = end < 0 ? text.length : end + TOOL_CALL_CLOSE.length;
+
+        let call = null;
+        try {
+            call = JSON.parse(text.slice(start + TOOL_CALL_OPEN.length, bodyEnd).trim());
+        } catch { }
+
+        if (call && known.has(call.name)) {
+            content += text.slice(pos, start);
+            const args = call.arguments ?? {};
+            toolCalls.push({
+                id: `call_${randomUUID().replace(/-/g, "").slice(0, 24)}`,
+                type: "function",
+                function: {
+                    name: call.name,
+                    arguments: typeof args === "string" ? args : JSON.stringify(args),
+                },
+            });
+        } else {
+            content += text.slice(pos, blockEnd);
+        }
+        pos = blockEnd;
+    }
+    content += text.slice(pos);
+
+    return { content: toolCalls.length ? content.trim() : content, toolCalls };
+}
+
+/**
+ * Streaming counterpart of parseToolCalls: passes text through until a
+ * tool-call block may be starting, then holds everything back so the
+ * block can be parsed once the stream ends.
+ */
+function createToolCallFilter(tools) {
+    let held = "";
+    let holding = false;
+
+    return {
+        // Returns the part of `text` that is safe to send to the client now
+        push(text) {
+            if (holding) {
+                held += text;
+                return "";
+            }
+            const combined = held + text;
+            const start = combined.indexOf(TOOL_CALL_OPEN);
+            if (start >= 0) {
+                holding = true;
+                held = combined.slice(start);
+                return combined.slice(0, start);
+            }
+            // Keep a trailing partial "<tool_call" marker back until we know more
+            let keep = 0;
+            for (let n = Math.min(TOOL_CALL_OPEN.length - 1, combined.length); n > 0; n--) {
+                if (TOOL_CALL_OPEN.startsWith(combined.slice(-n))) {
+                    keep = n;
+                    break;
+                }
+            }
+            held = combined.slice(combined.length - keep);
+            return combined.slice(0, combined.length - keep);
+        },
+        // Returns the remaining text and any tool calls found in it
+        flush() {
+            const result = parseToolCalls(held, tools);
+            held = "";
+            return result;
+        },
+    };
+}
+
+// ─── Multimodal attachments ──────────────────────────────────────
+// Non-text content parts are written to a per-request temp directory and
+// referenced in the prompt with Gemini CLI's `@path` syntax. The directory
+// is passed via --include-directories so the CLI is allowed to read it.
+
+const MIME_EXTENSIONS = {
+    "image/png": "png",
+    "image/jpeg": "jpg",
+    "image/webp": "webp",
+    "image/gif": "gif",
+    "image/heic": "heic",
+    "image/heif": "heif",
+    "audio/wav": "wav",
+    "audio/mpeg": "mp3",
+    "audio/aac": "aac",
+    "audio/ogg": "ogg",
+    "audio/flac": "flac",
+    "application/pdf": "pdf",
+    "text/plain": "txt",
+};
+
+// input_audio `format` values → MIME types
+const AUDIO_FORMATS = { wav: "audio/wav", mp3: "audio/mpeg", aac: "audio/aac", ogg: "audio/ogg", flac: "audio/flac" };
+
+/**
+ * Decode a `data:<mime>;base64,<data>` URL. Returns null if it is not one.
+ */
+function parseDataUrl(url) {
+    const match = /^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s.exec(url);
+    if (!match) return null;
+    return { mime: (match[1] || "application/octet-stream").toLowerCase(), data: Buffer.from(match[2], "base64") };
+}
+
+// Addresses attachment URLs may not point to: loopback, private networks,
+// link-local (cloud metadata services), CGNAT, multicast and reserved
+// ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+]) PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv4");
+for (const [network, prefix] of [
+    ["::", 127], ["64:ff9b::", 96], ["2002::", 16], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+]) PRIVATE_ADDRESSES.addSubnet(network, prefix, "ipv6");
+
+// Redirects followed per attachment URL, each target checked like the URL
+const MAX_ATTACHMENT_REDIRECTS = 3;
+
+function isPrivateAddress(address) {
+    return PRIVATE_ADDRESSES.check(address, isIP(address) === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * dns.lookup that fails when a name resolves to a private address. It is
+ * the lookup of the connecting socket, so the address checked is the one
+ * connected to, even if DNS answers differently from one query to the next.
+ */
+function publicLookup(hostname, options, callback) {
+    lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+        if (blocked) return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+        if (options.all) callback(null, addresses);
+        else callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Parse an attachment URL and check it may be fetched. Throws a 400
+ * RequestError otherwise.
+ */
+function checkAttachmentUrl(href) {
+    const url = URL.canParse(href) ? new URL(href) : null;
+    if (url?.protocol !== "http:" && url?.protocol !== "https:") {
+        throw new RequestError(400, `Attachment URL ${href} is not a valid http(s) URL`);
+    }
+    const host = url.hostname.replace(/^\[|\]$/g, "");
+    if (CONFIG.attachmentFetchHosts.length && !CONFIG.attachmentFetchHosts.includes(host)) {
+        throw new RequestError(400, `Attachment URL host ${host} is not allowed (BRIDGE_ATTACHMENT_FETCH_HOSTS)`);
+    }
+    // IP addresses aren't looked up, so publicLookup doesn't see them
+    if (isIP(host) && isPrivateAddress(host)) {
+        throw new RequestError(400, `Attachment URL ${href} points to a private address`);
+    }
+    return url;
+}
+
+/**
+ * Send a GET for `url` through publicLookup; resolves to the response.
+ */
+function getAttachment(url, signal) {
+    return new Promise((resolve, reject) => {
+        const request = url.protocol === "https:" ? httpsRequest : httpRequest;
+        const req = request(url, { lookup: publicLookup, signal }, resolve);
+        req.on("error", reject);
+        req.end();
+    });
+}
+
+/**
+ * Download an http(s) attachment, enforcing the URL checks, timeout and
+ * size limit. Throws a 400 RequestError unless CONFIG.attachmentFetch is on.
+ */
+async function fetchAttachment(href) {
+    if (!CONFIG.attachmentFetch) {
+        throw new RequestError(400, "Attachment URLs are not fetched by this bridge; send the file as a base64 data URL instead");
+    }
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), CONFIG.attachmentFetchTimeoutMs);
+    try {
+        let url = checkAttachmentUrl(href);
+        let resp = await getAttachment(url, controller.signal);
+        for (let redirects = 0; [301, 302, 303, 307, 308].includes(resp.statusCode) && resp.headers.location; redirects++) {
+            resp.resume();
+            if (redirects === MAX_ATTACHMENT_REDIRECTS) {
+                throw new RequestError(400, `Failed to fetch attachment ${href}: more than ${MAX_ATTACHMENT_REDIRECTS} redirects`);
+            }
+            url = checkAttachmentUrl(new URL(resp.headers.location, url).href);
+            resp = await getAttachment(url, controller.signal);
+        }
+        if (resp.statusCode < 200 || resp.statusCode >= 300) {
+            resp.resume();
+            throw new RequestError(400, `Failed to fetch attachment ${href}: HTTP ${resp.statusCode}`);
+        }
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of resp) {
+            size += chunk.length;
+            if (size > CONFIG.maxAttachmentBytes) {
+                controller.abort();
+                throw new RequestError(400, `Attachment ${href} exceeds ${CONFIG.maxAttachmentBytes} bytes`);
+            }
+            chunks.push(chunk);
+        }
+        const mime = (resp.headers["content-type"] || "application/octet-stream").split(";")[0].trim().toLowerCase();
+        return { mime, data: Buffer.concat(chunks) };
+    } catch (err) {
+        if (err instanceof RequestError) throw err;
+        throw new RequestError(400, `Failed to fetch attachment ${href}: ${err.name === "AbortError" ? "timed out" : err.message}`);
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Resolve one non-text content part to { mime, data }.
+ * Throws a RequestError (400) for unsupported or malformed parts.
+ */
+async function loadContentPart(part) {
+    switch (part.type) {
+        case "image_url": {
+            const url = typeof part.image_url === "string" ? part.image_url : part.image_url?.url;
+            if (!url) throw new RequestError(400, "image_url part is missing 'url'");
+            const decoded = parseDataUrl(url);
+            if (decoded) return decoded;
+            if (/^https?:\/\//i.test(url)) return fetchAttachment(url);
+            throw new RequestError(400, "image_url must be a base64 data URL or an http(s) URL");
+        }
+        case "input_audio": {
+            const { data, format } = part.input_audio || {};
+            const mime = AUDIO_FORMATS[format];
+            if (!data || !mime) throw new RequestError(400, `input_audio needs base64 'data' and a 'format' of ${Object.keys(AUDIO_FORMATS).join(", ")}`);
+            return { mime, data: Buffer.from(data, "base64") };
+        }
+        case "file": {
+            const file = part.file || {};
+            if (file.file_id) throw new RequestError(400, "file parts referencing 'file_id' are not supported; send 'file_data' instead");
+            if (!file.file_data) throw new RequestError(400, "file part is missing 'file_data'");
+            const decoded = parseDataUrl(file.file_data);
+            if (decoded) return decoded;
+            // Bare base64: infer the type from the filename extension
+            const ext = (file.filename || "").split(".").pop().toLowerCase();
+            const mime = Object.keys(MIME_EXTENSIONS).find((m) => MIME_EXTENSIONS[m] === ext) || "application/octet-stream";
+            return { mime, data: Buffer.from(file.file_data, "base64") };
+        }
+        default:
+            throw new RequestError(400, `Unsupported content part type: ${part.type}`);
+    }
+}
+
+/**
+ * Write every non-text content part in `messages` to a temp directory and
+ * replace it with a text part holding an `@path` reference.
+ * Returns the rewritten messages and the directory (null if none were found).
+ * The caller owns the directory and must remove it with cleanupTempDir.
+ */
+async function prepareAttachments(messages) {
+    let dir = null;
+    let count = 0;
+    let totalBytes = 0;
+
+    try {
+        const rewritten = [];
+        for (const msg of messages) {
+            if (!Array.isArray(msg.content) || msg.content.every((part) => part.type === "text")) {
+                rewritten.push(msg);
+                continue;
+            }
+
+            const content = [];
+            for (const part of msg.content) {
+                if (part.type === "text") {
+                    content.push(part);
+                    continue;
+                }
+
+                const { mime, data } = await loadContentPart(part);
+                if (!CONFIG.attachmentTypes.includes(mime)) {
+                    throw new RequestError(400, `Unsupported attachment type: ${mime} (allowed: ${CONFIG.attachmentTypes.join(", ")})`);
+                }
+                if (data.length > CONFIG.maxAttachmentBytes) {
+                    throw new RequestError(400, `Attachment exceeds ${CONFIG.maxAttachmentBytes} bytes`);
+                }
+                totalBytes += data.length;
+                if (totalBytes > CONFIG.maxAttachmentsTotalBytes) {
+                    throw new RequestError(400, `Attachments exceed ${CONFIG.maxAttachmentsTotalBytes} bytes in total`);
+                }
+
+                dir ??= makeTempDir("geminicli-bridge-att-");
+                const file = join(dir, `attachment-${++count}.${MIME_EXTENSIONS[mime] || "bin"}`);
+                writeFileSync(file, data);
+                content.push({ type: "text", text: `@${file.replace(/ /g, "\\ ")}` });
+            }
+            rewritten.push({ ...msg, content });
+        }
+
+        return { messages: rewritten, attachmentDir: dir };
+    } catch (err) {
+        if (dir) cleanupTempDir(dir);
+        throw err;
+    }
+}
+
+/**
+ * Small persistent key → object map backed by one JSON file, with TTL,
+ * entry count and (with `maxBytes`) file size eviction, oldest `updatedAt`
+ * first. Writes are batched and atomic (temp file + rename).
+ */
+function createJsonStore(file, { ttlMs, maxEntries, maxBytes = 0 }) {
+    let entries = {};
+    try {
+        entries = JSON.parse(readFileSync(file, "utf8"));
+    } catch { }
+    // Bytes each entry takes up in the file, for maxBytes
+    const sizeOf = (key, entry) => Buffer.byteLength(`${JSON.stringify(key)}:${JSON.stringify(entry)},`);
+    const sizes = new Map(Object.entries(entries).map(([key, entry]) => [key, sizeOf(key, entry)]));
+
+    let saveTimer = null;
+    const write = () => {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        // Entries may have expired since they were saved
+        evict();
+        try {
+            mkdirSync(dirname(file), { recursive: true });
+            writeFileSync(`${file}.tmp`, JSON.stringify(entries));
+            renameSync(`${file}.tmp`, file);
+        } catch (err) {
+            log.error(`✗ Failed to write ${file}: ${err.message}`, { event: "store.write_failed", file });
+        }
+    };
+    const save = () => {
+        if (saveTimer) return;
+        saveTimer = setTimeout(write, 200);
+        saveTimer.unref();
+    };
+
+    const remove = (key) => {
+        delete entries[key];
+        sizes.delete(key);
+    };
+    const evict = () => {
+        const now = Date.now();
+        for (const [key, entry] of Object.entries(entries)) {
+            if (now - entry.updatedAt > ttlMs) remove(key);
+        }
+        const keys = Object.keys(entries).sort((a, b) => entries[a].updatedAt - entries[b].updatedAt);
+        let bytes = 0;
+        for (const size of sizes.values()) bytes += size;
+        while (keys.length > maxEntries || (maxBytes && bytes > maxBytes)) {
+            const key = keys.shift();
+            bytes -= sizes.get(key);
+            remove(key);
+        }
+    };
+    evict();
+
+    return {
+        get(key) {
+            const entry = entries[key];
+            if (!entry) return null;
+            if (Date.now() - entry.updatedAt > ttlMs) {
+                remove(key);
+                save();
+                return null;
+            }
+            return entry;
+        },
+        // False when the entry alone is over maxBytes and isn't kept
+        set(key, value) {
+            const entry = { ...value, updatedAt: Date.now() };
+            const size = sizeOf(key, entry);
+            if (maxBytes && size > maxBytes) return false;
+            entries[key] = entry;
+            sizes.set(key, size);
+            evict();
+            save();
+            return true;
+        },
+        delete(key) {
+            if (key in entries) {
+                remove(key);
+                save();
+            }
+        },
+        get size() {
+            return Object.keys(entries).length;
+        },
+        // Write pending changes now (at exit)
+        flush() {
+            if (saveTimer) write();
+        },
+    };
+}
+
 /**
  * Read the full body from an HTTP request.
  */
@@ -136,11 +898,11 @@ function readBody(req) {
 /**
  * Send an OpenAI-compatible error response.
  */
-function sendError(res, status, message, type = "server_error") {
+function sendError(res, status, message, type = "server_error", headers = {}) {
     if (res.headersSent) return;
     res.writeHead(status, {
         "Content-Type": "application/json",
-        "Access-Control-Allow-Origin": "*",
+        ...headers,
     });
     res.end(
         JSON.stringify({
@@ -149,11 +911,24 @@ function sendError(res, status, message, type = "server_error") {
     );
 }
 
+/**
+ * Error with an HTTP status and OpenAI error type, thrown by request
+ * validation helpers and reported to the client via sendError.
+ */
+class RequestError extends Error {
+    constructor(status, message, type = "invalid_request", headers = {}) {
+        super(message);
+        this.status = status;
+        this.type = type;
+        this.headers = headers;
+    }
+}
+
 /**
  * Create a temp file for large prompts and return its path.
  */
 function writeTempPrompt(prompt) {
-    const dir = mkdtempSync(join(tmpdir(), "geminicli-bridge-"));
+    const dir = makeTempDir("geminicli-bridge-");
     const file = join(dir, "prompt.txt");
     writeFileSync(file, prompt, "utf8");
     return file;
@@ -167,123 +942,3332 @@ function cleanupTempFile(filePath) {
         unlinkSync(filePath);
         const dir = filePath.replace(/\/[^/]+$/, "");
         rmdirSync(dir);
+        tempDirs.delete(dir);
     } catch { }
 }
 
 /**
- * Classify Gemini CLI errors.
- * NOTE: Order matters! Check more specific errors first.
+ * Remove a per-request temp directory and everything in it.
  */
-function classifyError(err, stderr) {
-    const msg = (err?.message || "") + " " + (stderr || "");
-
-    // Check for rate limit / capacity errors FIRST (before auth check)
-    // Gemini API returns these as 429 with specific error reasons
-    if (msg.includes("429") ||
-        msg.includes("MODEL_CAPACITY_EXHAUSTED") ||
-        msg.includes("RESOURCE_EXHAUSTED") ||
-        msg.includes("No capacity available") ||
-        msg.includes("rate limit") ||
-        msg.includes("quota")) {
-        return {
-            status: 429,
-            message: "Gemini API capacity or rate limit exceeded. Please try again later or use a different model.",
-            type: "rate_limit"
-        };
-    }
-
-    // Only treat as auth error if it's clearly authentication-related
-    // AND not a capacity issue (which sometimes mentions "authentication" in stack traces)
-    if ((msg.includes("AuthError") || msg.includes("credential") ||
-        (msg.includes("authentication") && !msg.includes("429") && !msg.includes("capacity")))) {
-        return {
-            status: 401,
-            message: "Gemini CLI authentication error. Run 'gemini' interactively to set up auth.",
-            type: "auth_error"
-        };
-    }
+function cleanupTempDir(dir) {
+    try {
+        rmSync(dir, { recursive: true, force: true });
+        tempDirs.delete(dir);
+    } catch { }
+}
 
-    if (msg.includes("context") || msg.includes("token limit") || msg.includes("too long")) {
-        return { status: 400, message: "Context window exceeded", type: "context_overflow" };
-    }
-    if (msg.includes("ENOENT") || msg.includes("not found")) {
-        return { status: 500, message: `Gemini CLI binary not found at: ${CONFIG.geminiBin}. Install: npm install -g @anthropic-ai/gemini-cli`, type: "binary_not_found" };
-    }
-    if (msg.includes("timeout") || msg.includes("SIGTERM")) {
-        return { status: 504, message: "Request timed out", type: "timeout" };
-    }
+// Temp directories not cleaned up yet, removed at exit at the latest
+const tempDirs = new Set();
 
-    return { status: 500, message: msg.trim() || "Unknown Gemini CLI error", type: "server_error" };
+/**
+ * Create a temp directory named `prefix` + random suffix.
+ */
+function makeTempDir(prefix) {
+    const dir = mkdtempSync(join(tmpdir(), prefix));
+    tempDirs.add(dir);
+    return dir;
 }
 
-// ─── Core: Run Gemini CLI ────────────────────────────────────────
+/**
+ * Remove every temp directory still left.
+ */
+function cleanupTempDirs() {
+    for (const dir of tempDirs) cleanupTempDir(dir);
+}
 
-function runGeminiCLI(prompt, requestModel, stream, res) {
-    const requestId = `chatcmpl-${randomUUID()}`;
-    const created = Math.floor(Date.now() / 1000);
+/**
+ * Terminate a Gemini CLI child process: SIGTERM first, then SIGKILL if it
+ * is still alive after 5 seconds.
+ */
+function terminateProcess(proc) {
+    if (proc.exitCode !== null || proc.signalCode !== null) return;
+    proc.kill("SIGTERM");
+    const killTimer = setTimeout(() => {
+        try { proc.kill("SIGKILL"); } catch { }
+    }, 5000);
+    killTimer.unref();
+    proc.once("exit", () => clearTimeout(killTimer));
+}
 
-    // Support dynamic model switching: use the model from the request if provided,
-    // otherwise fall back to the configured default.
-    // The request model may come as "gemini-3-pro-preview", "gemini/gemini-3-pro-preview",
-    // or "bridge-gemini-cli/gemini-3-pro-preview" — extract the bare model ID.
-    let geminiModel = CONFIG.geminiModel;
-    if (requestModel) {
-        const bare = requestModel.replace(/^(?:bridge-gemini-cli|gemini)\//, "");
-        if (bare) geminiModel = bare;
-    }
-    const modelName = `gemini/${geminiModel}`;
+// Errors of a failed Gemini CLI run, by the stable `type` reported to
+// clients (and used as the metrics status). Messages are fixed: the CLI's
+// own messages and stderr can hold paths, prompts or tokens, so they go to
+// the log only.
+const CLI_ERRORS = {
+    rate_limit: { status: 429, message: "Gemini API capacity or rate limit exceeded. Please try again later or use a different model." },
+    auth_error: { status: 401, message: "Gemini CLI authentication error. Run 'gemini' interactively to set up auth." },
+    permission_denied: { status: 403, message: "The Gemini account is not allowed to use this model or feature" },
+    model_not_found: { status: 404, message: "The Gemini API does not know this model" },
+    context_length_exceeded: { status: 400, message: "Context window exceeded" },
+    invalid_request: { status: 400, message: "Gemini CLI rejected the request" },
+    tool_error: { status: 500, message: "A Gemini CLI tool failed fatally" },
+    cli_config_error: { status: 500, message: "Gemini CLI is misconfigured; see the bridge log for details" },
+    binary_not_found: { status: 500, message: `Gemini CLI binary not found at: ${CONFIG.geminiBin}. Install: npm install -g @google/gemini-cli` },
+    parse_error: { status: 502, message: "Failed to parse Gemini CLI response" },
+    timeout: { status: 504, message: "Request timed out" },
+    server_error: { status: 500, message: "Gemini CLI failed; see the bridge log for details" },
+};
 
-    // Determine if we need to pipe prompt via stdin
-    const useStdinPipe = prompt.length > CONFIG.maxArgLen;
+// Error class names Gemini CLI reports in its structured errors
+const CLI_ERROR_CLASSES = {
+    TerminalQuotaError: "rate_limit",
+    RetryableQuotaError: "rate_limit",
+    FatalAuthenticationError: "auth_error",
+    UnauthorizedError: "auth_error",
+    ForbiddenError: "permission_denied",
+    AccountSuspendedError: "permission_denied",
+    IneligibleTierError: "permission_denied",
+    ModelNotFoundError: "model_not_found",
+    FatalInputError: "invalid_request",
+    FatalToolExecutionError: "tool_error",
+    FatalConfigError: "cli_config_error",
+    FatalSandboxError: "cli_config_error",
+    FatalUntrustedWorkspaceError: "cli_config_error",
+};
 
-    // Build Gemini CLI command arguments
-    const args = [];
+// HTTP statuses of Gemini API errors, as structured error codes
+const CLI_ERROR_CODES = {
+    400: "invalid_request",
+    401: "auth_error",
+    403: "permission_denied",
+    404: "model_not_found",
+    429: "rate_limit",
+};
 
-    // Model
-    args.push("--model", geminiModel);
+// Fallback patterns for error text, most specific first. Context overflow
+// comes before INVALID_ARGUMENT, rate limits before auth (capacity errors
+// sometimes mention authentication in stack traces). Status codes only
+// count after "code" or "status", not as any number (line numbers, sizes).
+const CLI_ERROR_PATTERNS = [
+    ["context_length_exceeded", /input token count.*exceeds|exceeds the maximum number of tokens|context window|token limit exceeded/i],
+    ["rate_limit", /\b(code|status)\W{0,3}429\b|RESOURCE_EXHAUSTED|MODEL_CAPACITY_EXHAUSTED|No capacity available|rate limit|quota (exceeded|will reset)|exhausted your capacity/i],
+    ["auth_error", /\b(code|status)\W{0,3}401\b|UNAUTHENTICATED|AuthError|invalid (api key|credentials)|credentials? (expired|missing)|please (re-?)?authenticate/i],
+    ["permission_denied", /\b(code|status)\W{0,3}403\b|PERMISSION_DENIED/i],
+    ["model_not_found", /\bmodels?\b.*\b(not found|NOT_FOUND)\b|\b(code|status)\W{0,3}404\b/i],
+    ["invalid_request", /\b(code|status)\W{0,3}400\b|INVALID_ARGUMENT/i],
+];
 
-    // Output format
-    if (stream) {
-        args.push("--output-format", "stream-json");
-    } else {
-        args.push("--output-format", "json");
+/**
+ * Structured error from Gemini CLI's JSON output (`--output-format json`
+ * prints `{ "error": { type, message, code } }`, pretty-printed, on failure),
+ * or null. `text` is stdout or stderr, possibly with log lines around it.
+ */
+function parseCliError(text) {
+    if (!text) return null;
+    const starts = [...text.matchAll(/^\{/gm)].map((m) => m.index).reverse();
+    const ends = [...text.matchAll(/^\}/gm)].map((m) => m.index + 1).reverse();
+    for (const start of starts) {
+        for (const end of ends.filter((e) => e > start)) {
+            try {
+                const error = JSON.parse(text.slice(start, end)).error;
+                if (error?.message) return error;
+            } catch { }
+        }
     }
+    return null;
+}
 
-    // Approval mode (yolo = auto-approve, plan = read-only)
-    if (CONFIG.approvalMode === "yolo") {
+/**
+ * Retry-After (seconds) for a rate-limit error: the delay the Gemini API
+ * asked for ("Please retry in 23.5s", "retryDelay": "23s") when the message
+ * has one, else CONFIG.retryAfterSec.
+ */
+function retryAfterFor(text) {
+    const match = /retry in ([\d.]+)\s*s|"?retryDelay"?:\s*"([\d.]+)s"/i.exec(text || "");
+    const seconds = match ? Math.ceil(parseFloat(match[1] ?? match[2])) : NaN;
+    return Number.isFinite(seconds) && seconds > 0 ? seconds : CONFIG.retryAfterSec;
+}
+
+/**
+ * Client-facing error for a CLI_ERRORS `type`: `{ status, message, type,
+ * headers }`. Rate limits carry a Retry-After header, based on `text`.
+ */
+function cliFailure(type, text = "") {
+    return {
+        status: CLI_ERRORS[type].status,
+        message: CLI_ERRORS[type].message,
+        type,
+        headers: type === "rate_limit" ? { "Retry-After": String(retryAfterFor(text)) } : {},
+    };
+}
+
+/**
+ * Classify a failed Gemini CLI run as one of CLI_ERRORS (see cliFailure).
+ * `err` is a spawn error, `cliError` the structured error the CLI reported
+ * ({ type, message, code } from a stream-json result / error event or its
+ * JSON output) and `timedOut` is set when the bridge killed the run.
+ * Raw `stderr` is only matched when nothing more reliable is available.
+ */
+function classifyError(err, stderr, { cliError = null, timedOut = false } = {}) {
+    if (timedOut) return cliFailure("timeout");
+    if (err?.code === "ENOENT") return cliFailure("binary_not_found");
+
+    if (cliError) {
+        const text = cliError.message ?? "";
+        const match = CLI_ERROR_PATTERNS.find(([, pattern]) => pattern.test(text));
+        // The message beats a generic error class: a BadRequestError can be a context overflow
+        if (match?.[0] === "context_length_exceeded") return cliFailure(match[0]);
+        const type = CLI_ERROR_CLASSES[cliError.type] ?? match?.[0] ?? CLI_ERROR_CODES[cliError.code];
+        if (type) return cliFailure(type, text);
+    }
+
+    const text = `${err?.message ?? ""} ${stderr ?? ""}`;
+    const match = CLI_ERROR_PATTERNS.find(([, pattern]) => pattern.test(text));
+    return cliFailure(match?.[0] ?? "server_error", text);
+}
+
+// ─── Model registry ──────────────────────────────────────────────
+// Models the bridge serves, with the metadata reported by /v1/models.
+// The config file's "models" array overrides built-in entries (matched by
+// id) or adds new ones; "enabled": false hides a model. Every id and alias
+// is also accepted with a "gemini/" or "bridge-gemini-cli/" prefix.
+// Requests for anything else are rejected before Gemini CLI is spawned.
+
+const DEFAULT_MODELS = [
+    { id: "gemini-3-pro-preview", name: "Gemini 3 Pro Preview" },
+    { id: "gemini-3-flash-preview", name: "Gemini 3 Flash Preview" },
+    { id: "gemini-2.5-pro", name: "Gemini 2.5 Pro" },
+    { id: "gemini-2.5-flash", name: "Gemini 2.5 Flash" },
+];
+
+const MODEL_PREFIXES = ["", "gemini/", "bridge-gemini-cli/"];
+
+/**
+ * Build the id → model map from the built-in list and the config file.
+ */
+function loadModels() {
+    const entries = new Map(DEFAULT_MODELS.map((m) => [m.id, m]));
+    (FILE_CONFIG.models || []).forEach((entry, i) => {
+        if (!entry?.id) {
+            log.error(`✗ Model entry #${i + 1} is missing "id"`, { event: "config.invalid" });
+            process.exit(1);
+        }
+        entries.set(entry.id, { ...entries.get(entry.id), ...entry });
+    });
+    // The default model is always served, even if it isn't listed
+    if (!entries.has(CONFIG.geminiModel)) entries.set(CONFIG.geminiModel, { id: CONFIG.geminiModel });
+
+    const models = new Map();
+    for (const entry of entries.values()) {
+        models.set(entry.id, {
+            id: entry.id,
+            name: entry.name || entry.id,
+            aliases: entry.aliases || [],
+            contextWindow: entry.contextWindow || 1048576,
+            maxOutputTokens: entry.maxOutputTokens || 65536,
+            capabilities: { vision: true, tools: true, ...entry.capabilities },
+            enabled: entry.enabled !== false,
+        });
+    }
+    return models;
+}
+
+const MODELS = loadModels();
+
+// Every accepted model name (ids, aliases, prefixed forms) → model id
+const MODEL_NAMES = new Map();
+for (const model of MODELS.values()) {
+    for (const name of [model.id, ...model.aliases]) {
+        for (const prefix of MODEL_PREFIXES) MODEL_NAMES.set(prefix + name, model.id);
+    }
+}
+
+/**
+ * Resolve the request's `model` field (an id or alias, optionally prefixed,
+ * with any "@mode@workspace" suffixes from parseModelSuffix) to its registry
+ * entry. Without a model, the configured default is used. Returns null for
+ * unknown and disabled models.
+ */
+function resolveModel(requestModel) {
+    const name = (requestModel || "").split("@")[0].trim() || CONFIG.geminiModel;
+    const model = MODELS.get(MODEL_NAMES.get(name));
+    return model?.enabled ? model : null;
+}
+
+/**
+ * OpenAI-style model object for /v1/models, with the registry metadata.
+ */
+function modelObject(model, created) {
+    return {
+        id: model.id,
+        object: "model",
+        created,
+        owned_by: "google",
+        name: model.name,
+        aliases: model.aliases,
+        context_window: model.contextWindow,
+        max_output_tokens: model.maxOutputTokens,
+        capabilities: model.capabilities,
+    };
+}
+
+// ─── Context window budgeting ────────────────────────────────────
+// Prompts are measured with estimateTokens against the model's context
+// window, less the reply's token allowance and CONFIG.contextOverheadTokens
+// for Gemini CLI's own system prompt. An over-long history is handled per
+// CONFIG.contextStrategy: "reject" answers 400, "truncate" drops the oldest
+// turns and "summarize" replaces them with a summary written by
+// CONFIG.contextSummaryModel. System messages and the latest turn are
+// always kept.
+
+const CONTEXT_STRATEGIES = ["reject", "truncate", "summarize"];
+if (!CONTEXT_STRATEGIES.includes(CONFIG.contextStrategy)) {
+    log.error(`✗ Unknown BRIDGE_CONTEXT_STRATEGY "${CONFIG.contextStrategy}" (expected one of: ${CONTEXT_STRATEGIES.join(", ")})`, { event: "config.invalid" });
+    process.exit(1);
+}
+
+/**
+ * Prompt token budget on `model` (a registry entry) for a reply of up to
+ * `maxTokens` (from resolveGenerationParams; null = the model's maximum).
+ */
+function contextBudget(model, maxTokens) {
+    return model.contextWindow - (maxTokens || model.maxOutputTokens) - CONFIG.contextOverheadTokens;
+}
+
+/**
+ * Make the prompt for `messages` fit `model`'s context window, trimming the
+ * history as CONFIG.contextStrategy says. The history is only cut in front
+ * of a user message, so tool results never lose the call they answer.
+ * Resolves to { messages, prompt, tokens, trimmed, summaryUsage } where
+ * `trimmed` is null or "dropped=N" / "summarized=N" (N = messages removed)
+ * and `summaryUsage` is the usage of the summary run, if one completed.
+ * Throws a 400 RequestError when the prompt can't be made to fit.
+ */
+async function fitContext(messages, promptOptions, model, maxTokens, { requestId, res, workingDir, policy }) {
+    const budget = contextBudget(model, maxTokens);
+    const prompt = messagesToPrompt(messages, promptOptions);
+    const tokens = estimateTokens(prompt);
+    if (tokens <= budget) return { messages, prompt, tokens, trimmed: null, summaryUsage: null };
+
+    const overflow = () => new RequestError(
+        400,
+        `This model's maximum context length is ${model.contextWindow} tokens. Your messages are about ${tokens} tokens, ` +
+        `and ${model.contextWindow - budget} are reserved for the response and Gemini CLI's system prompt. ` +
+        "Please reduce the length of the messages.",
+        "context_length_exceeded"
+    );
+    if (CONFIG.contextStrategy === "reject") throw overflow();
+
+    // Leave room for the summary that replaces the dropped turns
+    const summarize = CONFIG.contextStrategy === "summarize";
+    const target = summarize ? budget - CONFIG.contextSummaryTokens : budget;
+    const keep = (cut) => messages.filter((m, i) => m.role === "system" || i >= cut);
+    const fits = (cut) => estimateTokens(messagesToPrompt(keep(cut), promptOptions)) <= target;
+
+    // Later cuts keep less, so binary-search the earliest one that fits
+    const cuts = messages.flatMap((m, i) => (i > 0 && m.role === "user" ? [i] : []));
+    let lo = 0;
+    let hi = cuts.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (fits(cuts[mid])) hi = mid;
+        else lo = mid + 1;
+    }
+    if (lo === cuts.length) throw overflow();
+
+    const cut = cuts[lo];
+    const dropped = messages.slice(0, cut).filter((m) => m.role !== "system");
+    let kept = keep(cut);
+    let trimmed = `dropped=${dropped.length}`;
+    let summaryUsage = null;
+    if (summarize) {
+        const onUsage = (usage) => { summaryUsage = usage; };
+        const summary = await summarizeTurns(dropped, { requestId, res, workingDir, policy, onUsage });
+        if (summary) {
+            const at = kept.findIndex((m) => m.role !== "system");
+            kept = [...kept.slice(0, at), { role: "user", content: `[Summary of the earlier conversation]\n${summary}` }, ...kept.slice(at)];
+            trimmed = `summarized=${dropped.length}`;
+        }
+    }
+
+    const fitted = messagesToPrompt(kept, promptOptions);
+    log.info(`✂ Request ${requestId.slice(-8)}: prompt of ~${tokens} tokens over the ${budget} token budget, ${trimmed}`, {
+        event: "context.trim",
+        requestId,
+        model: model.id,
+        strategy: CONFIG.contextStrategy,
+        budget,
+        tokensBefore: tokens,
+        tokensAfter: estimateTokens(fitted),
+        messagesRemoved: dropped.length,
+        summarized: trimmed.startsWith("summarized"),
+    });
+    return { messages: kept, prompt: fitted, tokens: estimateTokens(fitted), trimmed, summaryUsage };
+}
+
+/**
+ * Summarize the dropped `messages` with CONFIG.contextSummaryModel, in plan
+ * mode so the summary run can't use tools that change anything. Resolves to
+ * the summary text, or null when it can't be produced or `policy` may not
+ * run the summary model (the turns are then simply dropped). The run's
+ * usage goes to `onUsage`, so it counts against the key's quota.
+ */
+async function summarizeTurns(messages, { requestId, res, workingDir, policy, onUsage }) {
+    const model = resolveModel(CONFIG.contextSummaryModel);
+    if (!model) {
+        log.warn(`✗ Context summary model ${CONFIG.contextSummaryModel} is not in the model registry`, { event: "context.summary_failed", requestId });
+        return null;
+    }
+    if (!isModelAllowed(policy, model.id)) {
+        log.warn(`✗ Request ${requestId.slice(-8)}: key "${policy.label}" may not use context summary model ${model.id}, dropping old turns instead`, {
+            event: "context.summary_failed",
+            requestId,
+            model: model.id,
+        });
+        return null;
+    }
+
+    // The summarizer gets at most its own context window (newest turns first)
+    let transcript = messagesToPrompt(messages, { continuation: true });
+    const maxChars = Math.floor((model.contextWindow - CONFIG.contextOverheadTokens - CONFIG.contextSummaryTokens) * CONFIG.charsPerToken);
+    if (transcript.length > maxChars) transcript = transcript.slice(-maxChars);
+    const prompt =
+        `Summarize the conversation below in at most ${Math.floor(CONFIG.contextSummaryTokens * 0.75)} words. ` +
+        "Keep facts, decisions, names, file paths, open tasks and tool results that later turns may rely on. " +
+        "Reply with the summary only.\n\n" + transcript;
+
+    // Collect the reply instead of writing it to the client
+    const sink = createCollectorSink(requestId);
+    let release;
+    try {
+        release = await acquireSlot(model.id, res);
+    } catch {
+        return null;
+    }
+    let outcome;
+    try {
+        outcome = await runGeminiCLI(prompt, model.id, false, res, {
+            sink,
+            requestId,
+            approvalMode: "plan",
+            workingDir,
+            onComplete: (result) => onUsage(result.usage),
+        });
+    } finally {
+        release();
+    }
+    if (outcome !== "completed" || !sink.content.trim()) {
+        log.warn(`✗ Request ${requestId.slice(-8)}: context summary failed (${sink.failure?.message || outcome}), dropping old turns instead`, {
+            event: "context.summary_failed",
+            requestId,
+            model: model.id,
+        });
+        return null;
+    }
+    return sink.content.trim();
+}
+
+// ─── Generation parameters ───────────────────────────────────────
+// temperature, top_p, top_k and seed reach the model through a per-request
+// Gemini CLI settings file (see writeSamplingSettings). max_tokens and stop
+// sequences would apply to every model call of the CLI's agent loop, so the
+// bridge enforces them on the output instead (createOutputLimit) and stops
+// the CLI once they are hit. Other parameters are ignored and named in the
+// X-Ignored-Params response header.
+
+const SAMPLING_PARAMS = {
+    temperature: { setting: "temperature", valid: (v) => typeof v === "number" && v >= 0 && v <= 2, expected: "a number between 0 and 2" },
+    top_p: { setting: "topP", valid: (v) => typeof v === "number" && v >= 0 && v <= 1, expected: "a number between 0 and 1" },
+    top_k: { setting: "topK", valid: (v) => Number.isInteger(v) && v > 0, expected: "a positive integer" },
+    seed: { setting: "seed", valid: (v) => Number.isInteger(v), expected: "an integer" },
+};
+
+const UNSUPPORTED_PARAMS = ["frequency_penalty", "presence_penalty", "logit_bias", "logprobs", "top_logprobs"];
+
+/**
+ * Validate the generation parameters of `chat` for `model` (a registry entry).
+ * Returns { n, maxTokens, stop, sampling, ignored }: the number of choices,
+ * the output token cap (null = none, clamped to the model's maxOutputTokens),
+ * the stop sequences, the Gemini generateContentConfig fields to set (or
+ * null) and the names of the parameters that are ignored. Throws a 400
+ * RequestError for invalid values.
+ */
+function resolveGenerationParams(chat, model) {
+    const n = chat.n ?? 1;
+    if (!(Number.isInteger(n) && n >= 1 && n <= CONFIG.maxChoices)) {
+        throw new RequestError(400, `n must be an integer between 1 and ${CONFIG.maxChoices}`);
+    }
+
+    let maxTokens = chat.max_completion_tokens ?? chat.max_tokens ?? null;
+    if (maxTokens !== null && !(Number.isInteger(maxTokens) && maxTokens > 0)) {
+        throw new RequestError(400, "max_tokens must be a positive integer");
+    }
+    if (maxTokens > model.maxOutputTokens) maxTokens = model.maxOutputTokens;
+
+    const stop = typeof chat.stop === "string" ? [chat.stop] : chat.stop ?? [];
+    if (!Array.isArray(stop) || stop.some((s) => typeof s !== "string" || !s)) {
+        throw new RequestError(400, "stop must be a string or an array of non-empty strings");
+    }
+
+    const ignored = UNSUPPORTED_PARAMS.filter((name) => chat[name] != null && chat[name] !== 0 && chat[name] !== false);
+    let sampling = {};
+    for (const [name, { setting, valid, expected }] of Object.entries(SAMPLING_PARAMS)) {
+        const value = chat[name];
+        if (value == null) continue;
+        if (!valid(value)) throw new RequestError(400, `${name} must be ${expected}`);
+        if (CONFIG.samplingSettings) sampling[setting] = value;
+        else ignored.push(name);
+    }
+    if (!Object.keys(sampling).length) sampling = null;
+
+    return { n, maxTokens, stop, sampling, ignored };
+}
+
+/**
+ * Write a Gemini CLI settings file applying `sampling` (generateContentConfig
+ * fields) to `model`, for GEMINI_CLI_SYSTEM_DEFAULTS_PATH. Returns its path;
+ * remove it with cleanupTempFile.
+ */
+function writeSamplingSettings(model, sampling) {
+    const dir = makeTempDir("geminicli-bridge-");
+    const file = join(dir, "settings.json");
+    const settings = {
+        modelConfigs: {
+            customOverrides: [{ match: { model }, modelConfig: { generateContentConfig: sampling } }],
+        },
+    };
+    writeFileSync(file, JSON.stringify(settings), "utf8");
+    return file;
+}
+
+/**
+ * Output gate enforcing `maxTokens` (counted with estimateTokens) and `stop`
+ * sequences on streamed text. push(text) returns the part of `text` that may
+ * be sent now; text that could be the start of a stop sequence is held back
+ * until the next push or flush(). Once a limit is hit, `reason` is "length"
+ * or "stop" (with the matched `stopSequence`) and nothing more is let through.
+ */
+function createOutputLimit({ maxTokens = null, stop = [] } = {}) {
+    const holdBack = Math.max(0, ...stop.map((s) => s.length - 1));
+    let pending = "";
+    let wide = 0; // CJK chars let through so far
+    let narrow = 0; // other chars let through so far
+
+    const tokensWith = (text) => {
+        const w = text.match(WIDE_CHAR_PATTERN)?.length || 0;
+        return Math.ceil(wide + w + (narrow + text.length - w) / CONFIG.charsPerToken);
+    };
+    // Let `text` through, cut at the token cap
+    const pass = (text) => {
+        if (maxTokens && tokensWith(text) > maxTokens) {
+            let lo = 0;
+            let hi = text.length;
+            while (lo < hi) {
+                const mid = (lo + hi + 1) >> 1;
+                if (tokensWith(text.slice(0, mid)) <= maxTokens) lo = mid;
+                else hi = mid - 1;
+            }
+            text = text.slice(0, lo);
+            limit.reason = "length";
+        }
+        const w = text.match(WIDE_CHAR_PATTERN)?.length || 0;
+        wide += w;
+        narrow += text.length - w;
+        return text;
+    };
+
+    const limit = {
+        reason: null,
+        stopSequence: null,
+        push(text) {
+            if (limit.reason) return "";
+            pending += text;
+            let at = -1;
+            for (const s of stop) {
+                const i = pending.indexOf(s);
+                if (i >= 0 && (at < 0 || i < at)) {
+                    at = i;
+                    limit.stopSequence = s;
+                }
+            }
+            if (at >= 0) {
+                const out = pass(pending.slice(0, at));
+                pending = "";
+                if (!limit.reason) limit.reason = "stop";
+                else limit.stopSequence = null;
+                return out;
+            }
+            const keep = Math.min(holdBack, pending.length);
+            const out = pending.slice(0, pending.length - keep);
+            pending = pending.slice(pending.length - keep);
+            return pass(out);
+        },
+        flush() {
+            if (limit.reason) return "";
+            const out = pass(pending);
+            pending = "";
+            return out;
+        },
+    };
+    return limit;
+}
+
+// ─── Structured outputs ──────────────────────────────────────────
+// response_format json_object / json_schema: the format is described at the
+// end of the prompt, and the reply is collected, stripped of markdown code
+// fences, parsed and checked with validateSchema before anything is sent.
+// An invalid reply is retried with the validation errors fed back
+// (CONFIG.responseFormatRetries); once retries run out, strict json_schema
+// requests fail and others get the reply as it is.
+
+/**
+ * Validate `chat.response_format`. Returns null for plain text, or
+ * { type: "json_object" } / { type: "json_schema", name, schema, strict }.
+ */
+function resolveResponseFormat(chat) {
+    const format = chat.response_format;
+    if (format == null || format.type === "text") return null;
+    if (format.type === "json_object") return { type: "json_object" };
+    if (format.type === "json_schema") {
+        const spec = format.json_schema;
+        if (typeof spec?.schema !== "object" || spec.schema === null) {
+            throw new RequestError(400, "response_format.json_schema.schema must be a JSON Schema object");
+        }
+        checkSchema(spec.schema);
+        return { type: "json_schema", name: spec.name || "response", schema: spec.schema, strict: spec.strict === true };
+    }
+    throw new RequestError(400, `Unsupported response_format type: ${format.type}`);
+}
+
+/**
+ * Prompt block describing `format` (from resolveResponseFormat), or "".
+ */
+function buildResponseFormatInstructions(format) {
+    if (!format) return "";
+    const lines = ["[Response Format]"];
+    if (format.type === "json_object") {
+        lines.push("Reply with a single valid JSON object.");
+    } else {
+        lines.push(`Reply with a single JSON value named "${format.name}" that is valid against this JSON Schema:`);
+        lines.push(JSON.stringify(format.schema, null, 2));
+    }
+    lines.push("Output only the JSON: no markdown code fences, no explanations before or after it.");
+    lines.push("[End Response Format]");
+    return lines.join("\n");
+}
+
+/**
+ * Check a reply against `format`. Returns { text, errors }: the reply with
+ * any markdown code fence removed, and the list of problems (empty = valid).
+ */
+function checkResponseFormat(content, format) {
+    let text = content.trim();
+    const fenced = text.match(/^```[\w-]*[^\S\n]*\n([\s\S]*?)\n?```$/) || text.match(/```(?:json)?[^\S\n]*\n([\s\S]*?)\n?```/i);
+    if (fenced) text = fenced[1].trim();
+
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (err) {
+        return { text, errors: [`the reply is not valid JSON (${err.message})`] };
+    }
+    if (format.type === "json_object") {
+        return { text, errors: jsonType(value) === "object" ? [] : [`expected a JSON object, got ${jsonType(value)}`] };
+    }
+    return { text, errors: validateSchema(value, format.schema) };
+}
+
+/**
+ * JSON Schema type name of a parsed JSON value ("integer" for whole numbers).
+ */
+function jsonType(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+/**
+ * Resolve a local "#/..." JSON pointer `ref` in the schema `root`.
+ */
+function resolveSchemaRef(root, ref) {
+    if (ref === "#") return root;
+    if (typeof ref !== "string" || !ref.startsWith("#/")) return undefined;
+    let node = root;
+    for (const part of ref.slice(2).split("/")) {
+        let key;
+        try {
+            key = decodeURIComponent(part).replace(/~1/g, "/").replace(/~0/g, "~");
+        } catch {
+            return undefined;
+        }
+        if (typeof node !== "object" || node === null || !Object.hasOwn(node, key)) return undefined;
+        node = node[key];
+    }
+    return node;
+}
+
+// Deepest nesting of schemas that checkSchema accepts and validateSchema follows
+const MAX_SCHEMA_DEPTH = 64;
+
+/**
+ * Subschemas of `schema` that apply to the value itself rather than to
+ * its items or properties.
+ */
+function sameValueSubschemas(schema, root) {
+    const subs = [...(schema.allOf || []), ...(schema.anyOf || []), ...(schema.oneOf || [])];
+    if (schema.not !== undefined) subs.push(schema.not);
+    if (schema.$ref !== undefined) subs.push(resolveSchemaRef(root, schema.$ref));
+    return subs;
+}
+
+/**
+ * Check a response_format schema before anything runs, so validating a
+ * reply can't fail: throws a 400 RequestError for keywords of the wrong
+ * type, a $ref that can't be resolved, $refs that loop back without going
+ * into an item or property (validation would never end), or schemas
+ * nested deeper than MAX_SCHEMA_DEPTH.
+ */
+function checkSchema(root) {
+    const fail = (message) => {
+        throw new RequestError(400, `response_format.json_schema.schema: ${message}`);
+    };
+    // Every subschema, found by walking the schema's own structure
+    const nodes = new Set();
+    const collect = (schema, depth) => {
+        if (!isObject(schema) || nodes.has(schema)) return;
+        if (depth > MAX_SCHEMA_DEPTH) fail(`schemas are nested more than ${MAX_SCHEMA_DEPTH} levels deep`);
+        nodes.add(schema);
+        for (const keyword of ["allOf", "anyOf", "oneOf", "prefixItems", "enum", "required"]) {
+            if (schema[keyword] !== undefined && !Array.isArray(schema[keyword])) fail(`"${keyword}" must be an array`);
+        }
+        for (const keyword of ["properties", "$defs", "definitions"]) {
+            if (schema[keyword] !== undefined && !isObject(schema[keyword])) fail(`"${keyword}" must be an object`);
+        }
+        if (schema.$ref !== undefined) {
+            const target = typeof schema.$ref === "string" ? resolveSchemaRef(root, schema.$ref) : undefined;
+            if (!isObject(target) && typeof target !== "boolean") {
+                fail(`cannot resolve $ref ${JSON.stringify(schema.$ref)} (only local "#/..." refs are supported)`);
+            }
+        }
+        const children = [
+            ...Object.values(schema.properties || {}),
+            ...Object.values(schema.$defs || {}),
+            ...Object.values(schema.definitions || {}),
+            ...(schema.prefixItems || []),
+            ...(schema.allOf || []),
+            ...(schema.anyOf || []),
+            ...(schema.oneOf || []),
+            schema.items,
+            schema.additionalProperties,
+            schema.not,
+        ];
+        for (const child of children) collect(child, depth + 1);
+    };
+    collect(root, 0);
+
+    const state = new Map(); // schema → "active" | "done"
+    const visit = (schema) => {
+        if (!isObject(schema) || state.get(schema) === "done") return;
+        if (state.get(schema) === "active") fail("$refs form a loop that never reaches an item or property");
+        state.set(schema, "active");
+        for (const sub of sameValueSubschemas(schema, root)) visit(sub);
+        state.set(schema, "done");
+    };
+    nodes.forEach(visit);
+}
+
+/**
+ * Validate `value` against a JSON Schema. Supports the keywords structured
+ * outputs use: type, enum, const, string / number / array / object
+ * constraints, allOf / anyOf / oneOf / not and local $ref. Unknown keywords
+ * (format, ...) are ignored. Returns error messages with JSON paths.
+ * `refs` holds the $refs followed since validation last went into an item
+ * or property, so a $ref loop is reported instead of recursing forever.
+ */
+function validateSchema(value, schema, root = schema, path = "$", depth = 0, refs = []) {
+    if (schema === true || schema == null) return [];
+    if (schema === false) return [`${path}: no value is allowed here`];
+    if (depth > MAX_SCHEMA_DEPTH) return [`${path}: schema nesting is deeper than ${MAX_SCHEMA_DEPTH} levels`];
+    if (schema.$ref) {
+        if (refs.includes(schema.$ref)) return [`${path}: $ref ${schema.$ref} refers back to itself`];
+        const target = resolveSchemaRef(root, schema.$ref);
+        if (target === undefined) return [`${path}: cannot resolve $ref ${schema.$ref}`];
+        return validateSchema(value, target, root, path, depth + 1, [...refs, schema.$ref]);
+    }
+
+    const type = jsonType(value);
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some((t) => t === type || (t === "number" && type === "integer"))) {
+            return [`${path}: expected ${types.join(" or ")}, got ${type}`];
+        }
+    }
+
+    const errors = [];
+    const check = (ok, message) => { if (!ok) errors.push(`${path}: ${message}`); };
+    if (schema.enum) check(schema.enum.some((e) => isDeepStrictEqual(e, value)), `must be one of ${JSON.stringify(schema.enum)}`);
+    if ("const" in schema) check(isDeepStrictEqual(schema.const, value), `must be ${JSON.stringify(schema.const)}`);
+
+    if (type === "string") {
+        const length = [...value].length;
+        if (schema.minLength !== undefined) check(length >= schema.minLength, `must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined) check(length <= schema.maxLength, `must be at most ${schema.maxLength} characters`);
+        if (schema.pattern !== undefined) {
+            let pattern = null;
+            try {
+                pattern = new RegExp(schema.pattern, "u");
+            } catch { }
+            if (pattern) check(pattern.test(value), `must match the pattern ${schema.pattern}`);
+        }
+    }
+
+    if (type === "number" || type === "integer") {
+        if (schema.minimum !== undefined) check(value >= schema.minimum, `must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined) check(value <= schema.maximum, `must be <= ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined) check(value > schema.exclusiveMinimum, `must be > ${schema.exclusiveMinimum}`);
+        if (schema.exclusiveMaximum !== undefined) check(value < schema.exclusiveMaximum, `must be < ${schema.exclusiveMaximum}`);
+        if (schema.multipleOf) {
+            // With a tolerance for floating point: 19.99 / 0.01 is 1998.9999999999998
+            const quotient = value / schema.multipleOf;
+            check(Math.abs(quotient - Math.round(quotient)) < 1e-9, `must be a multiple of ${schema.multipleOf}`);
+        }
+    }
+
+    if (type === "array") {
+        if (schema.minItems !== undefined) check(value.length >= schema.minItems, `must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined) check(value.length <= schema.maxItems, `must have at most ${schema.maxItems} items`);
+        if (schema.uniqueItems) {
+            check(value.every((item, i) => value.findIndex((other) => isDeepStrictEqual(item, other)) === i), "items must be unique");
+        }
+        const prefix = schema.prefixItems || [];
+        value.forEach((item, i) => {
+            const itemSchema = i < prefix.length ? prefix[i] : schema.items;
+            errors.push(...validateSchema(item, itemSchema, root, `${path}[${i}]`, depth + 1));
+        });
+    }
+
+    if (type === "object") {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            check(Object.hasOwn(value, name), `missing required property "${name}"`);
+        }
+        for (const [name, item] of Object.entries(value)) {
+            const itemPath = /^[A-Za-z_$][\w$]*$/.test(name) ? `${path}.${name}` : `${path}[${JSON.stringify(name)}]`;
+            if (Object.hasOwn(properties, name)) {
+                errors.push(...validateSchema(item, properties[name], root, itemPath, depth + 1));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${itemPath}: property is not allowed`);
+            } else if (typeof schema.additionalProperties === "object") {
+                errors.push(...validateSchema(item, schema.additionalProperties, root, itemPath, depth + 1));
+            }
+        }
+    }
+
+    const matches = (sub) => validateSchema(value, sub, root, path, depth + 1, refs).length === 0;
+    for (const sub of schema.allOf || []) errors.push(...validateSchema(value, sub, root, path, depth + 1, refs));
+    if (schema.anyOf) check(schema.anyOf.some(matches), "must match at least one of the anyOf schemas");
+    if (schema.oneOf) {
+        const count = schema.oneOf.filter(matches).length;
+        check(count === 1, `must match exactly one of the oneOf schemas (matched ${count})`);
+    }
+    if (schema.not) check(!matches(schema.not), "must not match the \"not\" schema");
+    return errors;
+}
+
+/**
+ * Run a request with a response format (see runGeminiCLI for the
+ * options). The reply is collected instead of streamed, validated and
+ * retried as needed, then sent to `sink` in one piece. `messages` and
+ * `promptOptions` rebuild the prompt for retries, which start a fresh
+ * session. `onComplete` gets the final reply, with the usage of all attempts.
+ */
+async function runWithResponseFormat(prompt, geminiModel, stream, res, { sink, responseFormat, messages, promptOptions, onComplete, ...options }) {
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    let resume = options.resume;
+    for (let attempt = 1; ; attempt++) {
+        const collector = createCollectorSink(sink.id);
+        let completion = null;
+        const outcome = await runGeminiCLI(prompt, geminiModel, stream, res, {
+            ...options,
+            sink: collector,
+            resume,
+            onComplete: (result) => { completion = result; },
+        });
+        if (outcome !== "completed") {
+            if (collector.failure) sink.fail(collector.failure);
+            return outcome;
+        }
+        for (const key of Object.keys(usage)) usage[key] += completion.usage[key] || 0;
+
+        // Tool calls aren't the final answer, and a reply cut at max_tokens won't get better
+        const { text, errors } = completion.toolCalls.length ? { text: completion.content, errors: [] } : checkResponseFormat(completion.content, responseFormat);
+        const retry = errors.length && attempt <= CONFIG.responseFormatRetries && completion.finishReason !== "length";
+        if (!retry) {
+            if (errors.length && responseFormat.strict) {
+                log.warn(`✗ Request ${options.requestId.slice(-8)}: reply still doesn't match the response format after ${attempt} attempt(s)`, {
+                    event: "response_format.failed",
+                    requestId: options.requestId,
+                    model: completion.model,
+                    errors,
+                });
+                sink.fail({
+                    status: 502,
+                    message: `The model's reply does not match the response format after ${attempt} attempt(s): ${errors.slice(0, 5).join("; ")}`,
+                    type: "invalid_output",
+                });
+                return "error";
+            }
+            // Retries ran in new sessions that hold the feedback turns, so only the first is kept
+            const result = { ...completion, content: text, usage, sessionId: attempt === 1 ? completion.sessionId : null };
+            onComplete?.(result);
+            sink.begin(result.model);
+            if (text) sink.text(text);
+            if (result.toolCalls.length) sink.toolCalls(result.toolCalls);
+            sink.end({ finishReason: result.finishReason, usage, stopSequence: result.stopSequence });
+            return "completed";
+        }
+
+        log.info(`↻ Request ${options.requestId.slice(-8)}: reply doesn't match the response format (${errors.length} error(s)), retrying (attempt ${attempt + 1}/${CONFIG.responseFormatRetries + 1})`, {
+            event: "response_format.retry",
+            requestId: options.requestId,
+            model: completion.model,
+            attempt: attempt + 1,
+            errors,
+        });
+        const feedback = "Your reply does not match the required response format:\n" +
+            errors.slice(0, 10).map((e) => `- ${e}`).join("\n") +
+            "\nReply again with only the corrected JSON.";
+        prompt = messagesToPrompt([...messages, { role: "assistant", content: completion.content }, { role: "user", content: feedback }], promptOptions);
+        resume = null;
+    }
+}
+
+// ─── Activity reporting ──────────────────────────────────────────
+// While Gemini CLI runs its own tools, a streaming client sees nothing for
+// a long time. A request can opt in to activity reports with the `activity`
+// field or the X-Bridge-Activity header (default CONFIG.activity):
+// "reasoning" writes them to the API's reasoning channel (chat
+// `reasoning_content`, Anthropic thinking blocks, Responses reasoning
+// summaries), "events" sends custom `event: bridge.activity` SSE events.
+// Thoughts take the same path, for CLI versions that emit them in
+// stream-json. Non-streaming requests get no activity reports.
+
+const ACTIVITY_MODES = ["off", "reasoning", "events"];
+if (!ACTIVITY_MODES.includes(CONFIG.activity)) {
+    log.error(`✗ Unknown BRIDGE_ACTIVITY "${CONFIG.activity}" (expected one of: ${ACTIVITY_MODES.join(", ")})`, { event: "config.invalid" });
+    process.exit(1);
+}
+
+/**
+ * Activity mode of a request: the `activity` field, else the
+ * X-Bridge-Activity header, else CONFIG.activity. Throws a RequestError
+ * (400) for an unknown mode.
+ */
+function resolveActivity(data, req) {
+    const mode = data.activity ?? req.headers["x-bridge-activity"] ?? CONFIG.activity;
+    if (!ACTIVITY_MODES.includes(mode)) {
+        throw new RequestError(400, `Unknown activity mode "${mode}" (expected one of: ${ACTIVITY_MODES.join(", ")})`);
+    }
+    return mode;
+}
+
+/**
+ * One-line summary of a tool call's arguments, e.g.
+ * `file_path=/etc/hosts, limit=20`, with long values cut short.
+ */
+function summarizeToolArgs(parameters) {
+    const cut = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+    const summary = Object.entries(parameters ?? {})
+        .map(([key, value]) => `${key}=${cut(typeof value === "string" ? value : JSON.stringify(value) ?? "", 80)}`)
+        .join(", ");
+    return cut(summary.replace(/\s+/g, " "), 200);
+}
+
+/**
+ * Activity report for a Gemini CLI stream-json event, or null for events
+ * that aren't activity. `toolNames` maps tool ids to names, since
+ * tool_result events carry only the id. Reports are
+ * `{ kind: "tool_use", id, name, arguments }`,
+ * `{ kind: "tool_result", id, name, status, error }` or `{ kind: "thought", text }`.
+ */
+function activityFromEvent(event, toolNames) {
+    if (event.type === "tool_use") {
+        toolNames.set(event.tool_id, event.tool_name);
+        return { kind: "tool_use", id: event.tool_id ?? null, name: event.tool_name, arguments: summarizeToolArgs(event.parameters) };
+    }
+    if (event.type === "tool_result") {
+        return {
+            kind: "tool_result",
+            id: event.tool_id ?? null,
+            name: toolNames.get(event.tool_id) ?? null,
+            status: event.status,
+            error: event.error?.message ?? null,
+        };
+    }
+    if (event.type === "thought") {
+        // Thought summaries are { subject, description } inside Gemini CLI
+        const text = typeof event.content === "string"
+            ? event.content
+            : [event.subject, event.description].filter(Boolean).join(": ");
+        return text ? { kind: "thought", text } : null;
+    }
+    return null;
+}
+
+/**
+ * Text of an activity report for the "reasoning" mode.
+ */
+function activityText(report) {
+    if (report.kind === "thought") return report.text;
+    if (report.kind === "tool_use") return `\n[tool] ${report.name}(${report.arguments})\n`;
+    return `[tool] ${report.name || report.id}: ${report.status}${report.error ? ` — ${report.error}` : ""}\n`;
+}
+
+// ─── Authentication and key policies ─────────────────────────────
+// API keys come from the config file's "keys" array (with per-key policies)
+// and from BRIDGE_API_KEYS (comma-separated, unrestricted). With no keys
+// configured, authentication is disabled and every request gets OPEN_POLICY,
+// which never includes the admin routes: they need an admin key.
+
+const OPEN_POLICY = {
+    label: "anonymous",
+    models: null, // null = any model
+    maxApprovalMode: "yolo",
+    workingDirs: null, // null = any directory
+    requestsPerMinute: 0, // 0 = unlimited
+    recentRequests: [],
+    dailyRequests: 0, // 0 = unlimited
+    dailyTokens: 0,
+    admin: false,
+};
+
+const hashKey = (key) => createHash("sha256").update(key).digest("hex");
+
+/**
+ * Build the key-hash → policy map from the config file and environment.
+ */
+function loadApiKeys() {
+    const entries = [
+        ...(FILE_CONFIG.keys || []),
+        ...(process.env.BRIDGE_API_KEYS || "").split(",").map((k) => k.trim()).filter(Boolean),
+    ];
+    const keys = new Map();
+    entries.forEach((entry, i) => {
+        if (typeof entry === "string") entry = { key: entry };
+        if (!entry?.key) {
+            log.error(`✗ API key entry #${i + 1} is missing "key"`, { event: "config.invalid" });
+            process.exit(1);
+        }
+        if (entry.maxApprovalMode && !APPROVAL_MODES.includes(entry.maxApprovalMode)) {
+            log.error(`✗ API key entry #${i + 1}: unknown maxApprovalMode "${entry.maxApprovalMode}"`, { event: "config.invalid" });
+            process.exit(1);
+        }
+        keys.set(hashKey(entry.key), {
+            label: entry.label || `key-${i + 1}`,
+            models: entry.models && !entry.models.includes("*") ? entry.models.map((m) => MODEL_NAMES.get(m) || m) : null,
+            maxApprovalMode: entry.maxApprovalMode || "yolo",
+            workingDirs: entry.workingDirs ? entry.workingDirs.map((d) => resolve(d)) : null,
+            requestsPerMinute: entry.rateLimit?.requestsPerMinute || 0,
+            recentRequests: [], // timestamps within the last minute
+            dailyRequests: entry.quota?.dailyRequests || 0,
+            dailyTokens: entry.quota?.dailyTokens || 0,
+            admin: entry.admin === true,
+        });
+    });
+    return keys;
+}
+
+const API_KEYS = loadApiKeys();
+
+/**
+ * Return the policy for the request's API key (Authorization: Bearer or
+ * x-api-key), OPEN_POLICY when authentication is disabled, or null when
+ * the key is missing or unknown.
+ */
+function authenticate(req) {
+    if (!API_KEYS.size) return OPEN_POLICY;
+    const auth = req.headers.authorization || "";
+    const key = auth.startsWith("Bearer ") ? auth.slice(7).trim() : req.headers["x-api-key"];
+    if (!key) return null;
+    return API_KEYS.get(hashKey(key)) || null;
+}
+
+function isModelAllowed(policy, model) {
+    return !policy.models || policy.models.includes(model);
+}
+
+function isWorkingDirAllowed(policy, dir) {
+    if (!policy.workingDirs) return true;
+    const target = resolve(dir);
+    return policy.workingDirs.some((allowed) => target === allowed || target.startsWith(allowed + sep));
+}
+
+/**
+ * Lower `mode` to the policy's maximum approval mode if it exceeds it.
+ */
+function capApprovalMode(mode, maxMode) {
+    return APPROVAL_MODES.indexOf(mode) > APPROVAL_MODES.indexOf(maxMode) ? maxMode : mode;
+}
+
+/**
+ * Count a request against the key's per-minute limit.
+ * Throws a 429 RequestError with Retry-After when the limit is reached.
+ */
+function checkKeyRateLimit(policy) {
+    if (!policy.requestsPerMinute) return;
+    const now = Date.now();
+    const recent = policy.recentRequests.filter((t) => now - t < 60000);
+    policy.recentRequests = recent;
+    if (recent.length >= policy.requestsPerMinute) {
+        const retryAfter = Math.max(1, Math.ceil((recent[0] + 60000 - now) / 1000));
+        throw new RequestError(429, `Rate limit of ${policy.requestsPerMinute} requests/minute reached for key "${policy.label}"`,
+            "rate_limit", { "Retry-After": String(retryAfter) });
+    }
+    recent.push(now);
+}
+
+/**
+ * Access-Control-Allow-Origin value for a request Origin, or null.
+ */
+function corsOriginFor(origin) {
+    if (CONFIG.corsOrigins.includes("*")) return "*";
+    return origin && CONFIG.corsOrigins.includes(origin) ? origin : null;
+}
+
+// ─── Workspaces and approval modes ───────────────────────────────
+// A request may pick an approval mode and a named workspace, through the
+// `approval_mode` / `workspace` body fields or model suffixes such as
+// "gemini-3-pro-preview@plan" or "gemini-3-pro-preview@auto_edit@project-x".
+// Only workspaces defined in the config and approval modes on the
+// allowlist can be selected; "default" is GEMINI_WORKING_DIR.
+
+/**
+ * Build the workspace map from BRIDGE_WORKSPACES ("name=/path,...") and the
+ * config file's "workspaces" object. Entries are a path or
+ * { path, approvalMode, approvalModes }.
+ */
+function loadWorkspaces() {
+    const entries = {};
+    for (const pair of (process.env.BRIDGE_WORKSPACES || "").split(",")) {
+        const i = pair.indexOf("=");
+        if (i > 0) entries[pair.slice(0, i).trim()] = pair.slice(i + 1).trim();
+    }
+    Object.assign(entries, FILE_CONFIG.workspaces);
+
+    const workspaces = new Map([["default", { path: resolve(CONFIG.workingDir), approvalMode: null, approvalModes: null }]]);
+    for (const [name, value] of Object.entries(entries)) {
+        const ws = typeof value === "string" ? { path: value } : value;
+        if (!ws?.path) {
+            log.error(`✗ Workspace "${name}" is missing "path"`, { event: "config.invalid" });
+            process.exit(1);
+        }
+        workspaces.set(name, {
+            path: resolve(ws.path),
+            approvalMode: ws.approvalMode || null, // default mode for this workspace
+            approvalModes: ws.approvalModes || null, // allowlist for this workspace
+        });
+    }
+    return workspaces;
+}
+
+const WORKSPACES = loadWorkspaces();
+
+/**
+ * Split "model@mode@workspace" suffixes off a request's model field.
+ */
+function parseModelSuffix(requestModel) {
+    const [, ...tokens] = (requestModel || "").split("@");
+    const result = { approvalMode: undefined, workspace: undefined };
+    for (const token of tokens.map((t) => t.trim()).filter(Boolean)) {
+        if (APPROVAL_MODES.includes(token)) result.approvalMode = token;
+        else result.workspace = token;
+    }
+    return result;
+}
+
+/**
+ * Work out the approval mode, workspace and working directory for a
+ * request, checked against the server allowlist, the workspace and the
+ * API key's policy. Throws a RequestError (400/403) when the request asks
+ * for something it may not have.
+ */
+function resolveRunSettings(data, policy) {
+    const suffix = parseModelSuffix(data.model);
+
+    const workspace = data.workspace ?? suffix.workspace ?? "default";
+    const ws = WORKSPACES.get(workspace);
+    if (!ws) {
+        throw new RequestError(400, `Unknown workspace "${workspace}" (available: ${[...WORKSPACES.keys()].join(", ")})`);
+    }
+    if (!isWorkingDirAllowed(policy, ws.path)) {
+        throw new RequestError(403, `Workspace "${workspace}" is not allowed for this API key`, "permission_denied");
+    }
+
+    const allowed = CONFIG.allowedApprovalModes.filter((m) => !ws.approvalModes || ws.approvalModes.includes(m));
+    const requested = data.approval_mode ?? suffix.approvalMode;
+    let approvalMode;
+    if (requested) {
+        if (!APPROVAL_MODES.includes(requested)) {
+            throw new RequestError(400, `Unknown approval mode "${requested}" (expected one of: ${APPROVAL_MODES.join(", ")})`);
+        }
+        if (!allowed.includes(requested)) {
+            throw new RequestError(403, `Approval mode "${requested}" is not allowed in workspace "${workspace}"`, "permission_denied");
+        }
+        if (capApprovalMode(requested, policy.maxApprovalMode) !== requested) {
+            throw new RequestError(403, `Approval mode "${requested}" exceeds this API key's maximum (${policy.maxApprovalMode})`, "permission_denied");
+        }
+        approvalMode = requested;
+    } else {
+        // Default mode, lowered until it is permitted by the key, server and workspace
+        const max = capApprovalMode(ws.approvalMode || CONFIG.approvalMode, policy.maxApprovalMode);
+        approvalMode = APPROVAL_MODES.slice(0, APPROVAL_MODES.indexOf(max) + 1).reverse().find((m) => allowed.includes(m));
+        if (!approvalMode) {
+            throw new RequestError(403, `No permitted approval mode for workspace "${workspace}"`, "permission_denied");
+        }
+    }
+
+    return { approvalMode, workspace, workingDir: ws.path };
+}
+
+// ─── Conversation sessions ───────────────────────────────────────
+// With BRIDGE_SESSION_REUSE=1, every completed turn is mapped to the Gemini
+// CLI session that produced it. When the next request's history starts with
+// exactly that conversation, the session is resumed (--resume) and only the
+// new turns are sent. A conversation is recognised by the X-Conversation-Id
+// header or, without one, by the hash of its message prefix. Edited history,
+// expired sessions and failed resumes fall back to a full replay.
+
+const sessionStore = CONFIG.sessionReuse
+    ? createJsonStore(join(CONFIG.dataDir, "sessions.json"), { ttlMs: CONFIG.sessionTtlMs, maxEntries: CONFIG.sessionMaxEntries })
+    : null;
+
+const sha256 = (text) => createHash("sha256").update(text).digest("hex");
+
+/**
+ * Stable representation of one message for hashing: role, text/part
+ * content and tool calls (ids excluded, arguments re-serialized).
+ */
+function normalizeMessage(msg) {
+    const content = Array.isArray(msg.content)
+        ? msg.content.map((part) => (part.type === "text" ? part.text : JSON.stringify(part))).join("\n")
+        : getContent(msg);
+    const toolCalls = (msg.tool_calls || []).map((call) => {
+        let args = call.function?.arguments ?? "{}";
+        try {
+            args = JSON.stringify(JSON.parse(args));
+        } catch { }
+        return [call.function?.name, args];
+    });
+    return JSON.stringify([msg.role, content.trim(), msg.role === "tool" ? msg.tool_call_id || "" : "", toolCalls]);
+}
+
+/**
+ * Chained prefix hashes: result[i] identifies messages[0..i) together with `seed`.
+ */
+function prefixHashes(messages, seed) {
+    const hashes = [sha256(seed)];
+    for (const msg of messages) {
+        hashes.push(sha256(hashes[hashes.length - 1] + normalizeMessage(msg)));
+    }
+    return hashes;
+}
+
+/**
+ * Find a resumable session for `messages`. Returns
+ * { sessionId, key, messageCount, credential } or null, plus a `reason`
+ * when a known conversation could not be resumed.
+ */
+function findSession(messages, hashes, conversationId, workingDir) {
+    if (conversationId) {
+        const key = `conv:${conversationId}`;
+        const entry = sessionStore.get(key);
+        if (!entry) return { session: null, reason: null };
+        if (entry.messageCount >= messages.length || hashes[entry.messageCount] !== entry.historyHash) {
+            return { session: null, reason: "history changed" };
+        }
+        if (entry.workingDir !== workingDir) return { session: null, reason: "workspace changed" };
+        return { session: { ...entry, key } };
+    }
+
+    // No id: look for the longest stored prefix that ends with an assistant turn
+    for (let i = messages.length - 1; i > 0; i--) {
+        if (messages[i - 1].role !== "assistant") continue;
+        const key = `hash:${hashes[i]}`;
+        const entry = sessionStore.get(key);
+        if (entry && entry.workingDir === workingDir) return { session: { ...entry, key } };
+    }
+    return { session: null, reason: null };
+}
+
+/**
+ * Remember the session that produced `reply` for the conversation `messages`,
+ * with the credential profile (id or null) whose CLI home holds it.
+ */
+function saveSession(messages, hashes, reply, sessionId, conversationId, workingDir, credential) {
+    const historyHash = sha256(hashes[messages.length] + normalizeMessage(reply));
+    const key = conversationId ? `conv:${conversationId}` : `hash:${historyHash}`;
+    sessionStore.set(key, { sessionId, historyHash, messageCount: messages.length + 1, workingDir, credential });
+}
+
+// ─── Response cache ──────────────────────────────────────────────
+// Opt-in (BRIDGE_CACHE=1) cache of completed answers, one file per entry
+// in data/cache, keyed by a hash of the model, run settings and the final
+// prompt (which already includes tools and tool_choice). Entries expire
+// after BRIDGE_CACHE_TTL_MS; the oldest are evicted when the cache grows
+// beyond BRIDGE_CACHE_MAX_BYTES. Only approval modes in which Gemini CLI
+// can't change anything are cached unless the request sends "cache": true.
+
+const CACHE_DIR = join(CONFIG.dataDir, "cache");
+const CACHE_SAFE_MODES = ["plan", "default"];
+
+const cacheIndex = new Map(); // key → { size, createdAt }, oldest first
+let cacheBytes = 0;
+
+const cacheFile = (key) => join(CACHE_DIR, `${key}.json`);
+
+function removeCacheEntry(key) {
+    const entry = cacheIndex.get(key);
+    if (!entry) return;
+    cacheIndex.delete(key);
+    cacheBytes -= entry.size;
+    try {
+        unlinkSync(cacheFile(key));
+    } catch { }
+}
+
+/**
+ * Drop expired entries, then the oldest ones until the size limit is met.
+ */
+function evictCache() {
+    const now = Date.now();
+    for (const [key, entry] of cacheIndex) {
+        if (now - entry.createdAt <= CONFIG.cacheTtlMs && cacheBytes <= CONFIG.cacheMaxBytes) break;
+        removeCacheEntry(key);
+    }
+}
+
+if (CONFIG.cacheEnabled) {
+    // Rebuild the index from the files left by earlier runs
+    let files = [];
+    try {
+        files = readdirSync(CACHE_DIR).filter((file) => file.endsWith(".json"));
+    } catch { }
+    files
+        .map((file) => {
+            const { size, mtimeMs } = statSync(join(CACHE_DIR, file));
+            return { key: file.slice(0, -".json".length), size, createdAt: mtimeMs };
+        })
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .forEach(({ key, size, createdAt }) => {
+            cacheIndex.set(key, { size, createdAt });
+            cacheBytes += size;
+        });
+    evictCache();
+}
+
+/**
+ * Cache key for a request, or null if it must not be cached: the cache is
+ * off, the request has attachments or sent "cache": false, or its approval
+ * mode lets Gemini CLI edit files or run commands and it didn't opt in.
+ */
+function cacheKeyFor(chat, prompt, model, { approvalMode, workingDir }, { n, maxTokens, stop, sampling }, attachmentDir) {
+    // Several choices are asked for to get different answers
+    if (!CONFIG.cacheEnabled || attachmentDir || chat.cache === false || n > 1) return null;
+    if (chat.cache !== true && !CACHE_SAFE_MODES.includes(approvalMode)) return null;
+    return sha256(JSON.stringify([model, approvalMode, workingDir, maxTokens, stop, sampling, prompt]));
+}
+
+/**
+ * Cached answer for `key` ({ model, content, toolCalls, usage, finishReason, stopSequence }) or null.
+ */
+function cacheGet(key) {
+    const entry = cacheIndex.get(key);
+    if (!entry) return null;
+    if (Date.now() - entry.createdAt > CONFIG.cacheTtlMs) {
+        removeCacheEntry(key);
+        return null;
+    }
+    try {
+        return JSON.parse(readFileSync(cacheFile(key), "utf8"));
+    } catch {
+        removeCacheEntry(key);
+        return null;
+    }
+}
+
+function cacheSet(key, value) {
+    const data = JSON.stringify(value);
+    try {
+        mkdirSync(CACHE_DIR, { recursive: true });
+        writeFileSync(`${cacheFile(key)}.tmp`, data);
+        renameSync(`${cacheFile(key)}.tmp`, cacheFile(key));
+    } catch (err) {
+        log.error(`✗ Failed to write cache entry: ${err.message}`, { event: "cache.write_failed" });
+        return;
+    }
+    const previous = cacheIndex.get(key);
+    if (previous) {
+        cacheIndex.delete(key);
+        cacheBytes -= previous.size;
+    }
+    cacheIndex.set(key, { size: Buffer.byteLength(data), createdAt: Date.now() });
+    cacheBytes += Buffer.byteLength(data);
+    evictCache();
+}
+
+/**
+ * Write a cached answer through `sink` as if Gemini CLI had just produced it.
+ */
+function replayCached(sink, entry) {
+    sink.begin(entry.model);
+    if (entry.content) sink.text(entry.content);
+    if (entry.toolCalls?.length) sink.toolCalls(entry.toolCalls);
+    sink.end({ finishReason: entry.finishReason, usage: entry.usage, stopSequence: entry.stopSequence ?? null });
+}
+
+// ─── Concurrency limiter ─────────────────────────────────────────
+// Caps the number of live Gemini CLI processes globally and per model.
+// Waiting requests sit in a FIFO queue; the first queued request whose
+// model has a free slot runs next.
+
+const limiter = {
+    active: 0,
+    activeByModel: new Map(),
+    queue: [], // { model, grant, reject, timer, onClose, res }
+    rejected: 0,
+};
+
+function hasFreeSlot(model) {
+    if (limiter.active >= CONFIG.maxConcurrent) return false;
+    if (CONFIG.maxConcurrentPerModel > 0 &&
+        (limiter.activeByModel.get(model) || 0) >= CONFIG.maxConcurrentPerModel) return false;
+    return true;
+}
+
+/**
+ * Take a slot for `model` and return its release function (call exactly once).
+ */
+function takeSlot(model) {
+    limiter.active++;
+    limiter.activeByModel.set(model, (limiter.activeByModel.get(model) || 0) + 1);
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        limiter.active--;
+        const n = limiter.activeByModel.get(model) - 1;
+        if (n > 0) limiter.activeByModel.set(model, n);
+        else limiter.activeByModel.delete(model);
+        drainQueue();
+    };
+}
+
+function removeFromQueue(entry) {
+    const i = limiter.queue.indexOf(entry);
+    if (i >= 0) limiter.queue.splice(i, 1);
+    clearTimeout(entry.timer);
+    entry.res.off("close", entry.onClose);
+}
+
+function drainQueue() {
+    for (let i = 0; i < limiter.queue.length && limiter.active < CONFIG.maxConcurrent;) {
+        const entry = limiter.queue[i];
+        if (!hasFreeSlot(entry.model)) {
+            i++;
+            continue;
+        }
+        removeFromQueue(entry);
+        entry.grant(takeSlot(entry.model));
+    }
+}
+
+function rateLimitedError(message) {
+    limiter.rejected++;
+    return new RequestError(429, message, "rate_limit", { "Retry-After": String(CONFIG.retryAfterSec) });
+}
+
+/**
+ * Wait for a free Gemini CLI slot for `model`.
+ * Resolves to a release function. Rejects with a 429 RequestError when the
+ * queue is full or the wait times out, a 503 one while the bridge shuts
+ * down, or with null when the client disconnects while queued.
+ */
+function acquireSlot(model, res) {
+    if (shuttingDown) {
+        return Promise.reject(shuttingDownError());
+    }
+    if (!limiter.queue.length && hasFreeSlot(model)) {
+        return Promise.resolve(takeSlot(model));
+    }
+    if (limiter.queue.length >= CONFIG.queueMaxDepth) {
+        return Promise.reject(rateLimitedError(`Too many concurrent requests (queue full: ${CONFIG.queueMaxDepth} waiting)`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const entry = { model, grant: resolve, reject, res };
+        entry.timer = setTimeout(() => {
+            removeFromQueue(entry);
+            reject(rateLimitedError(`Timed out after ${CONFIG.queueTimeoutMs / 1000}s waiting for a free Gemini CLI slot`));
+        }, CONFIG.queueTimeoutMs);
+        entry.onClose = () => {
+            removeFromQueue(entry);
+            reject(null);
+        };
+        res.on("close", entry.onClose);
+        limiter.queue.push(entry);
+        // Requests queued ahead may all be waiting for other models' slots
+        drainQueue();
+    });
+}
+
+/**
+ * Reject every queued request with `err`.
+ */
+function rejectQueued(err) {
+    for (const entry of [...limiter.queue]) {
+        removeFromQueue(entry);
+        entry.reject(err);
+    }
+}
+
+// ─── Credential pool ─────────────────────────────────────────────
+// The config file's "credentials" array lists credential profiles for
+// Gemini CLI, each with its own CLI home directory (OAuth login and
+// settings), Gemini API key or Vertex AI settings, plus extra environment
+// variables. Every run picks an available profile by
+// CONFIG.credentialStrategy; a profile that hits a rate limit cools down
+// and requests move on to the others. Without profiles, Gemini CLI runs
+// with the bridge's own environment.
+
+const CREDENTIAL_STRATEGIES = ["round-robin", "least-throttled"];
+
+// Auth-related variables a profile replaces rather than inherits
+const CREDENTIAL_ENV_VARS = [
+    "GEMINI_CLI_HOME",
+    "GEMINI_API_KEY",
+    "GOOGLE_API_KEY",
+    "GOOGLE_GENAI_USE_GCA",
+    "GOOGLE_GENAI_USE_VERTEXAI",
+    "GOOGLE_CLOUD_PROJECT",
+    "GOOGLE_CLOUD_LOCATION",
+    "GOOGLE_APPLICATION_CREDENTIALS",
+];
+
+/**
+ * Build the credential profiles from the config file. Exits on an invalid entry.
+ */
+function loadCredentials() {
+    const invalid = (message) => {
+        log.error(`✗ ${message}`, { event: "config.invalid" });
+        process.exit(1);
+    };
+    if (!CREDENTIAL_STRATEGIES.includes(CONFIG.credentialStrategy)) {
+        invalid(`Unknown credential strategy "${CONFIG.credentialStrategy}" (expected one of: ${CREDENTIAL_STRATEGIES.join(", ")})`);
+    }
+    const ids = new Set();
+    const profiles = (FILE_CONFIG.credentials || []).map((entry, i) => {
+        if (!entry?.id) invalid(`Credential profile #${i + 1} is missing "id"`);
+        if (ids.has(entry.id)) invalid(`Credential profile #${i + 1}: duplicate id "${entry.id}"`);
+        ids.add(entry.id);
+        const { vertex } = entry;
+        if (vertex && !vertex.project && !vertex.apiKey) {
+            invalid(`Credential profile "${entry.id}": "vertex" needs a "project" or an "apiKey"`);
+        }
+        return {
+            id: entry.id,
+            entry,
+            env: {
+                ...(entry.home && { GEMINI_CLI_HOME: resolve(entry.home) }),
+                ...(entry.apiKey && { GEMINI_API_KEY: entry.apiKey }),
+                ...(vertex && {
+                    GOOGLE_GENAI_USE_VERTEXAI: "true",
+                    ...(vertex.project && { GOOGLE_CLOUD_PROJECT: vertex.project }),
+                    ...(vertex.location && { GOOGLE_CLOUD_LOCATION: vertex.location }),
+                    ...(vertex.apiKey && { GOOGLE_API_KEY: vertex.apiKey }),
+                    ...(vertex.credentialsFile && { GOOGLE_APPLICATION_CREDENTIALS: resolve(vertex.credentialsFile) }),
+                }),
+                ...entry.env,
+            },
+            enabled: entry.enabled !== false,
+            cooldownUntil: 0,
+            lastUsedAt: 0,
+            lastThrottledAt: 0,
+            runs: 0,
+            rateLimits: 0,
+        };
+    });
+    if (profiles.length && !profiles.some((p) => p.enabled)) invalid("Every credential profile is disabled");
+    return profiles;
+}
+
+const CREDENTIALS = loadCredentials();
+let credentialCursor = -1; // index of the profile picked last (round-robin)
+
+const isCredentialAvailable = (profile) => profile.enabled && profile.cooldownUntil <= Date.now();
+
+/**
+ * True if some profile can take a run now (always false without profiles).
+ */
+function hasAvailableCredential() {
+    return CREDENTIALS.some(isCredentialAvailable);
+}
+
+/**
+ * Pick the credential profile for a Gemini CLI run: `preferred` (a profile
+ * id, e.g. the one holding a resumed session) if it is available, else one
+ * chosen by CONFIG.credentialStrategy. Returns null when every profile is
+ * disabled or cooling down.
+ */
+function pickCredential(preferred = null) {
+    const available = CREDENTIALS.filter(isCredentialAvailable);
+    if (!available.length) return null;
+    let profile = available.find((p) => p.id === preferred);
+    if (!profile && CONFIG.credentialStrategy === "least-throttled") {
+        // Never-throttled profiles first, then the one throttled longest ago; ties go to the least recently used
+        profile = available.reduce((best, p) =>
+            p.lastThrottledAt < best.lastThrottledAt ||
+            (p.lastThrottledAt === best.lastThrottledAt && p.lastUsedAt < best.lastUsedAt) ? p : best);
+    }
+    if (!profile) {
+        for (let step = 1; !profile; step++) {
+            const candidate = CREDENTIALS[(credentialCursor + step) % CREDENTIALS.length];
+            if (isCredentialAvailable(candidate)) profile = candidate;
+        }
+    }
+    credentialCursor = CREDENTIALS.indexOf(profile);
+    profile.lastUsedAt = Date.now();
+    profile.runs++;
+    return profile;
+}
+
+/**
+ * Put `profile` on cooldown after a rate-limit error (`classified` from
+ * classifyError): CONFIG.credentialCooldownMs, or longer if the error's
+ * Retry-After says so.
+ */
+function coolDownCredential(profile, classified, requestId) {
+    const retryAfterMs = Number(classified.headers?.["Retry-After"] || 0) * 1000;
+    const cooldownMs = Math.max(CONFIG.credentialCooldownMs, retryAfterMs);
+    profile.cooldownUntil = Date.now() + cooldownMs;
+    profile.lastThrottledAt = Date.now();
+    profile.rateLimits++;
+    log.warn(`⊘ Credential ${profile.id}: rate limited, cooling down for ${Math.ceil(cooldownMs / 1000)}s`, {
+        event: "credential.cooldown",
+        requestId,
+        credential: profile.id,
+        cooldownMs,
+    });
+}
+
+/**
+ * 429 error for a run that finds every profile cooling down, with
+ * Retry-After set to the end of the shortest cooldown.
+ */
+function credentialsExhaustedError() {
+    const waitMs = Math.min(...CREDENTIALS.filter((p) => p.enabled).map((p) => p.cooldownUntil - Date.now()));
+    return {
+        ...cliFailure("rate_limit"),
+        headers: { "Retry-After": String(Math.max(1, Math.ceil(waitMs / 1000))) },
+    };
+}
+
+/**
+ * Environment for a Gemini CLI run with `profile` (null = the bridge's own).
+ */
+function credentialEnv(profile) {
+    if (!profile) return process.env;
+    const env = { ...process.env };
+    for (const name of CREDENTIAL_ENV_VARS) delete env[name];
+    return { ...env, ...profile.env };
+}
+
+/**
+ * Mask a secret for display: the first and last 4 characters of long values only.
+ */
+function maskSecret(value) {
+    const text = String(value ?? "");
+    return text.length >= 16 ? `${text.slice(0, 4)}…${text.slice(-4)}` : "…";
+}
+
+/**
+ * Status of a profile for GET /v1/admin/credentials, secrets masked.
+ */
+function credentialStatus(profile) {
+    const { entry } = profile;
+    const iso = (time) => (time ? new Date(time).toISOString() : null);
+    const coolingDown = profile.cooldownUntil > Date.now();
+    return {
+        id: profile.id,
+        auth: entry.vertex ? "vertex-ai" : entry.apiKey ? "gemini-api-key" : "cli-settings",
+        home: entry.home ? resolve(entry.home) : null,
+        apiKey: entry.apiKey ? maskSecret(entry.apiKey) : null,
+        vertex: entry.vertex ? {
+            project: entry.vertex.project ?? null,
+            location: entry.vertex.location ?? null,
+            apiKey: entry.vertex.apiKey ? maskSecret(entry.vertex.apiKey) : null,
+            credentialsFile: entry.vertex.credentialsFile ?? null,
+        } : null,
+        env: Object.fromEntries(Object.entries(entry.env || {}).map(([name, value]) => [name, maskSecret(value)])),
+        status: !profile.enabled ? "disabled" : coolingDown ? "cooling_down" : "available",
+        cooldownUntil: coolingDown ? iso(profile.cooldownUntil) : null,
+        runs: profile.runs,
+        rateLimits: profile.rateLimits,
+        lastUsedAt: iso(profile.lastUsedAt),
+        lastThrottledAt: iso(profile.lastThrottledAt),
+    };
+}
+
+// ─── Metrics ─────────────────────────────────────────────────────
+// Prometheus text format for GET /metrics, without a client library.
+// Run metrics are recorded per Gemini CLI run, so a request that falls
+// back to another model counts once for each model it tried.
+
+/**
+ * Format a label set as `{name="value",...}` (empty string for none).
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length) return "";
+    const escape = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(",")}}`;
+}
+
+/**
+ * Counter metric; `inc(labels, value)` adds to the series for `labels`.
+ */
+function createCounter(name, help, { labelled = true } = {}) {
+    const series = new Map(); // formatted labels → value
+    if (!labelled) series.set("", 0);
+    return {
+        inc(labels = {}, value = 1) {
+            const key = formatLabels(labels);
+            series.set(key, (series.get(key) || 0) + value);
+        },
+        render() {
+            return [
+                `# HELP ${name} ${help}`,
+                `# TYPE ${name} counter`,
+                ...[...series].map(([labels, value]) => `${name}${labels} ${value}`),
+            ];
+        },
+    };
+}
+
+/**
+ * Histogram metric with fixed upper `buckets` (seconds).
+ */
+function createHistogram(name, help, buckets) {
+    const series = new Map(); // formatted labels → { labels, counts, sum, count }
+    return {
+        observe(labels, value) {
+            const key = formatLabels(labels);
+            if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+            const s = series.get(key);
+            buckets.forEach((le, i) => {
+                if (value <= le) s.counts[i]++;
+            });
+            s.sum += value;
+            s.count++;
+        },
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const { labels, counts, sum, count } of series.values()) {
+                buckets.forEach((le, i) => lines.push(`${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`));
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            }
+            return lines;
+        },
+    };
+}
+
+/**
+ * Gauge metric whose value is read at scrape time.
+ */
+function createGauge(name, help, read) {
+    return {
+        render() {
+            return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${read()}`];
+        },
+    };
+}
+
+const metrics = {
+    runs: createCounter(
+        "geminicli_bridge_requests_total",
+        "Gemini CLI runs by model, stream flag and status (ok, cancelled or the classifyError type)"
+    ),
+    duration: createHistogram(
+        "geminicli_bridge_request_duration_seconds",
+        "Duration of successful Gemini CLI runs",
+        [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300]
+    ),
+    firstToken: createHistogram(
+        "geminicli_bridge_time_to_first_token_seconds",
+        "Time from starting (or taking a warm) Gemini CLI to its first streamed output",
+        [0.25, 0.5, 1, 2, 3, 5, 10, 20, 30]
+    ),
+    promptTokens: createCounter("geminicli_bridge_prompt_tokens_total", "Prompt tokens by model"),
+    completionTokens: createCounter("geminicli_bridge_completion_tokens_total", "Completion tokens by model"),
+    cache: createCounter("geminicli_bridge_cache_lookups_total", "Response cache lookups by result (hit or miss)"),
+    watchdogKills: createCounter(
+        "geminicli_bridge_watchdog_kills_total",
+        "Gemini CLI processes killed by the inactivity watchdog",
+        { labelled: false }
+    ),
+    timeouts: createCounter(
+        "geminicli_bridge_timeouts_total",
+        "Gemini CLI processes killed after BRIDGE_TIMEOUT_MS",
+        { labelled: false }
+    ),
+    liveProcesses: 0,
+};
+
+/**
+ * Record token usage (OpenAI-shaped `usage`) for `model`.
+ */
+function recordUsage(model, usage) {
+    metrics.promptTokens.inc({ model }, usage.prompt_tokens || 0);
+    metrics.completionTokens.inc({ model }, usage.completion_tokens || 0);
+}
+
+/**
+ * Render all metrics in the Prometheus text exposition format.
+ */
+function renderMetrics() {
+    const gauges = [
+        createGauge("geminicli_bridge_cli_processes", "Gemini CLI processes currently running", () => metrics.liveProcesses),
+        createGauge("geminicli_bridge_warm_processes", "Warm Gemini CLI processes waiting for a run", () => warmProcessCount()),
+        createGauge("geminicli_bridge_active_requests", "Requests holding a concurrency slot", () => limiter.active),
+        createGauge("geminicli_bridge_queued_requests", "Requests waiting for a concurrency slot", () => limiter.queue.length),
+    ];
+    const queueRejections = createCounter(
+        "geminicli_bridge_queue_rejections_total",
+        "Requests rejected because the queue was full or timed out",
+        { labelled: false }
+    );
+    queueRejections.inc({}, limiter.rejected);
+    return [
+        metrics.runs,
+        metrics.duration,
+        metrics.firstToken,
+        metrics.promptTokens,
+        metrics.completionTokens,
+        metrics.cache,
+        metrics.watchdogKills,
+        metrics.timeouts,
+        queueRejections,
+        ...gauges,
+    ].flatMap((metric) => metric.render()).join("\n") + "\n";
+}
+
+// ─── Usage ledger and quotas ─────────────────────────────────────
+// Every request that ran Gemini CLI is appended to data/usage.jsonl (one
+// JSON record per line). GET /v1/usage aggregates the ledger; today's
+// totals are also kept in memory to enforce the daily quotas before a
+// request is spawned. Days are UTC.
+
+const USAGE_FILE = join(CONFIG.dataDir, "usage.jsonl");
+
+const utcDay = (time = Date.now()) => new Date(time).toISOString().slice(0, 10);
+
+// Today's totals: { day, requests, tokens, byClient: Map(label → { requests, tokens }) }
+const usageToday = { day: utcDay(), requests: 0, tokens: 0, byClient: new Map() };
+
+/**
+ * Today's totals, reset when the UTC day has changed.
+ */
+function currentUsage() {
+    const day = utcDay();
+    if (usageToday.day !== day) {
+        usageToday.day = day;
+        usageToday.requests = 0;
+        usageToday.tokens = 0;
+        usageToday.byClient.clear();
+    }
+    return usageToday;
+}
+
+/**
+ * Add a ledger record to today's totals (if it is from today).
+ */
+function countUsage(record) {
+    const today = currentUsage();
+    if (!record.time?.startsWith(today.day)) return;
+    const client = today.byClient.get(record.client) || { requests: 0, tokens: 0 };
+    client.requests++;
+    client.tokens += record.totalTokens || 0;
+    today.byClient.set(record.client, client);
+    today.requests++;
+    today.tokens += record.totalTokens || 0;
+}
+
+/**
+ * Read all ledger records, skipping malformed lines.
+ */
+function readUsageLedger() {
+    let text;
+    try {
+        text = readFileSync(USAGE_FILE, "utf8");
+    } catch {
+        return [];
+    }
+    const records = [];
+    for (const line of text.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+            records.push(JSON.parse(line));
+        } catch { }
+    }
+    return records;
+}
+
+// Resume today's totals after a restart
+for (const record of readUsageLedger()) countUsage(record);
+
+/**
+ * Append a record to the ledger and today's totals.
+ */
+function appendUsageRecord(record) {
+    const entry = { time: new Date().toISOString(), ...record };
+    countUsage(entry);
+    try {
+        mkdirSync(dirname(USAGE_FILE), { recursive: true });
+        appendFileSync(USAGE_FILE, JSON.stringify(entry) + "\n");
+    } catch (err) {
+        log.error(`✗ Failed to write ${USAGE_FILE}: ${err.message}`, { event: "usage.write_failed" });
+    }
+}
+
+/**
+ * Throw a 429 RequestError (Retry-After: next UTC midnight) when the
+ * bridge-wide or the key's daily request / token quota is used up.
+ */
+function checkQuota(policy) {
+    const today = currentUsage();
+    const client = today.byClient.get(policy.label) || { requests: 0, tokens: 0 };
+    const exceeded =
+        (CONFIG.dailyRequestQuota && today.requests >= CONFIG.dailyRequestQuota && "the daily request quota") ||
+        (CONFIG.dailyTokenQuota && today.tokens >= CONFIG.dailyTokenQuota && "the daily token quota") ||
+        (policy.dailyRequests && client.requests >= policy.dailyRequests && `the daily request quota of key "${policy.label}"`) ||
+        (policy.dailyTokens && client.tokens >= policy.dailyTokens && `the daily token quota of key "${policy.label}"`);
+    if (!exceeded) return;
+    const retryAfter = Math.ceil((Date.parse(`${today.day}T00:00:00Z`) + 86400000 - Date.now()) / 1000);
+    throw new RequestError(429, `Usage has reached ${exceeded}; it resets at 00:00 UTC`, "quota_exceeded",
+        { "Retry-After": String(retryAfter) });
+}
+
+/**
+ * Sum ledger records into OpenAI-style usage totals.
+ */
+function summarizeUsage(records) {
+    const summary = { requests: 0, errors: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, avg_latency_ms: 0 };
+    for (const r of records) {
+        summary.requests++;
+        if (r.outcome !== "completed") summary.errors++;
+        summary.prompt_tokens += r.promptTokens || 0;
+        summary.completion_tokens += r.completionTokens || 0;
+        summary.total_tokens += r.totalTokens || 0;
+        summary.avg_latency_ms += r.latencyMs || 0;
+    }
+    if (summary.requests) summary.avg_latency_ms = Math.round(summary.avg_latency_ms / summary.requests);
+    return summary;
+}
+
+/**
+ * Body for GET /v1/usage: totals for [from, to] (YYYY-MM-DD, default the
+ * last 7 days) grouped by day, model and client. Keys without `admin` only
+ * see their own usage; admins may filter with `client`.
+ */
+function usageReport(policy, params) {
+    // A real calendar day: 2026-02-30 would otherwise roll over into March
+    const isDay = (day) => /^\d{4}-\d{2}-\d{2}$/.test(day) && utcDay(Date.parse(`${day}T00:00:00Z`) || 0) === day;
+    const to = params.get("to") || utcDay();
+    if (!isDay(to)) throw new RequestError(400, "to must be a date in YYYY-MM-DD format");
+    const from = params.get("from") || utcDay(Date.parse(`${to}T00:00:00Z`) - 6 * 86400000);
+    if (!isDay(from)) throw new RequestError(400, "from must be a date in YYYY-MM-DD format");
+    if (from > to) throw new RequestError(400, "from must not be after to");
+    const client = policy.admin ? params.get("client") : policy.label;
+
+    const records = readUsageLedger().filter((r) => {
+        const day = r.time?.slice(0, 10);
+        return day >= from && day <= to && (!client || r.client === client);
+    });
+    const groupBy = (field, keyOf) => {
+        const groups = new Map();
+        for (const r of records) {
+            const key = keyOf(r);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(r);
+        }
+        return [...groups].sort(([a], [b]) => (a < b ? -1 : 1)).map(([key, group]) => ({ [field]: key, ...summarizeUsage(group) }));
+    };
+
+    const today = currentUsage();
+    const own = today.byClient.get(policy.label) || { requests: 0, tokens: 0 };
+    return {
+        object: "usage",
+        from,
+        to,
+        client: client || null,
+        totals: summarizeUsage(records),
+        by_day: groupBy("date", (r) => r.time.slice(0, 10)),
+        by_model: groupBy("model", (r) => r.model),
+        by_client: groupBy("client", (r) => r.client),
+        quota: {
+            date: today.day,
+            requests_today: own.requests,
+            tokens_today: own.tokens,
+            daily_requests: policy.dailyRequests || null,
+            daily_tokens: policy.dailyTokens || null,
+            ...(policy.admin && {
+                bridge_requests_today: today.requests,
+                bridge_tokens_today: today.tokens,
+                bridge_daily_requests: CONFIG.dailyRequestQuota || null,
+                bridge_daily_tokens: CONFIG.dailyTokenQuota || null,
+            }),
+        },
+    };
+}
+
+// ─── Response sinks ──────────────────────────────────────────────
+// runGeminiCLI writes its output through a sink that renders one API's
+// wire format. A sink has:
+//   id                        response id (also used in log lines)
+//   started                   true once anything was written to `res`
+//   begin(model)              an attempt starts on `model`; writes nothing
+//   text(delta)               assistant text
+//   toolCalls(calls)          tool calls in OpenAI format (parseToolCalls)
+//   end({ finishReason, usage, stopSequence })
+//                             success; OpenAI finish reason ("stop", "length",
+//                             "tool_calls"), usage and the stop sequence hit
+//   fail(classified)          an error from classifyError
+//   reasoning(delta)          activity report text in the API's reasoning
+//                             channel (streaming only)
+//   activity(report)          an activity report as a `bridge.activity`
+//                             SSE event (streaming only)
+//   heartbeat()               an SSE keep-alive comment (streaming only)
+// Streaming sinks send headers on the first write, so a request can still
+// fall back to another model while `started` is false. A heartbeat sends
+// the headers without setting `started`.
+
+const SSE_HEADERS = {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+};
+
+/**
+ * Sink that writes nothing, for runs whose output the bridge processes
+ * itself (context summaries, structured outputs). `content` collects the
+ * text and `failure` the classifyError result of a failed run; the rest
+ * of the reply reaches the caller through runGeminiCLI's onComplete.
+ */
+function createCollectorSink(id) {
+    const sink = {
+        id,
+        started: false,
+        content: "",
+        failure: null,
+        begin() { },
+        text(delta) { sink.content += delta; },
+        toolCalls() { },
+        end() { },
+        fail(classified) { sink.failure = classified; },
+        reasoning() { },
+        activity() { },
+        heartbeat() { },
+    };
+    return sink;
+}
+
+/**
+ * Sink for POST /v1/chat/completions: `chat.completion.chunk` SSE events
+ * ending with `data: [DONE]`, or a single `chat.completion` body. A stream
+ * that fails after it started gets an OpenAI-style `data: {"error": ...}`
+ * payload; one that fails before gets a plain error response.
+ * With `n` > 1 the returned sink (choice 0) has a `choices` array holding
+ * one sink per choice; each choice runs on its own and the response ends
+ * when all of them have. Streamed chunks carry their `choices[].index`,
+ * usage is added up and sent in a final chunk, and a failed choice gets
+ * `finish_reason: "error"` with an `error` object instead of aborting the
+ * others. A non-streaming request fails as a whole only if every choice does.
+ */
+function createChatCompletionSink(res, stream, n = 1) {
+    const id = `chatcmpl-${randomUUID()}`;
+    const created = Math.floor(Date.now() / 1000);
+    let headersSent = false;
+    let remaining = n;
+
+    const sendHeaders = () => {
+        if (headersSent) return;
+        headersSent = true;
+        res.writeHead(200, SSE_HEADERS);
+    };
+    const sendChunk = (choice, delta, finishReason = null, extra = {}) => {
+        if (!choice.sink.started) {
+            choice.sink.started = true;
+            sendHeaders();
+            sendChunk(choice, { role: "assistant", content: "" });
+        }
+        const chunk = {
+            id,
+            object: "chat.completion.chunk",
+            created,
+            model: choice.model,
+            choices: [
+                {
+                    index: choice.index,
+                    delta,
+                    finish_reason: finishReason,
+                    ...(choice.error && { error: choice.error }),
+                },
+            ],
+            ...extra,
+        };
+        res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    };
+
+    // Called once per choice; the last one to finish completes the response
+    const settle = () => {
+        if (--remaining > 0) return;
+        const succeeded = choices.filter((c) => !c.failure);
+        if (!succeeded.length && !headersSent) {
+            const { status, message, type, headers } = choices[0].failure;
+            sendError(res, status, message, type, headers);
+            return;
+        }
+        const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+        for (const choice of succeeded) {
+            for (const key of Object.keys(usage)) usage[key] += choice.usage[key] || 0;
+        }
+        if (stream) {
+            if (n > 1) {
+                res.write(`data: ${JSON.stringify({ id, object: "chat.completion.chunk", created, model: succeeded[0]?.model || choices[0].model, choices: [], usage })}\n\n`);
+            }
+            res.write("data: [DONE]\n\n");
+            res.end();
+            return;
+        }
+        choices[0].sink.started = true;
+        res.writeHead(200, {
+            "Content-Type": "application/json",
+        });
+        res.end(
+            JSON.stringify({
+                id,
+                object: "chat.completion",
+                created,
+                model: succeeded[0].model,
+                choices: choices.map((choice) => choice.failure
+                    ? {
+                        index: choice.index,
+                        message: { role: "assistant", content: null },
+                        finish_reason: "error",
+                        error: choice.error,
+                    }
+                    : {
+                        index: choice.index,
+                        message: {
+                            role: "assistant",
+                            content: choice.toolCalls.length ? choice.content || null : choice.content,
+                            ...(choice.toolCalls.length && { tool_calls: choice.toolCalls }),
+                        },
+                        finish_reason: choice.finishReason,
+                    }),
+                usage,
+            })
+        );
+    };
+
+    const choices = Array.from({ length: n }, (_, index) => {
+        const choice = {
+            index,
+            model: "",
+            content: "",
+            toolCalls: [],
+            finishReason: null,
+            usage: null,
+            failure: null,
+            error: null,
+            ended: false,
+        };
+        choice.sink = {
+            id,
+            started: false,
+            begin(model) {
+                choice.model = `gemini/${model}`;
+            },
+            text(delta) {
+                if (stream) sendChunk(choice, { content: delta });
+                else choice.content += delta;
+            },
+            toolCalls(calls) {
+                if (stream) sendChunk(choice, { tool_calls: calls.map((call, i) => ({ index: i, ...call })) });
+                else choice.toolCalls = calls;
+            },
+            end({ finishReason, usage }) {
+                if (choice.ended) return;
+                choice.ended = true;
+                choice.finishReason = finishReason;
+                choice.usage = usage;
+                if (stream) sendChunk(choice, {}, finishReason, n === 1 ? { usage } : {});
+                settle();
+            },
+            fail(classified) {
+                if (choice.ended) return;
+                choice.ended = true;
+                choice.failure = classified;
+                choice.error = { message: classified.message, type: classified.type, code: classified.status };
+                if (n === 1) {
+                    // Before any output the error gets its own HTTP status (see settle);
+                    // mid-stream it is an `error` payload, which OpenAI SDKs raise
+                    if (stream && headersSent) res.write(`data: ${JSON.stringify({ error: choice.error })}\n\n`);
+                } else if (stream) {
+                    sendChunk(choice, {}, "error");
+                }
+                settle();
+            },
+            reasoning(delta) {
+                if (stream) sendChunk(choice, { reasoning_content: delta });
+            },
+            activity(report) {
+                if (!stream) return;
+                sendHeaders();
+                res.write(`event: bridge.activity\ndata: ${JSON.stringify({ ...report, index: choice.index })}\n\n`);
+            },
+            heartbeat() {
+                if (!stream || res.writableEnded) return;
+                sendHeaders();
+                res.write(": keep-alive\n\n");
+            },
+        };
+        return choice;
+    });
+
+    if (n > 1) choices[0].sink.choices = choices.map((choice) => choice.sink);
+    return choices[0].sink;
+}
+
+// ─── Anthropic Messages API ──────────────────────────────────────
+
+const ANTHROPIC_ERROR_TYPES = {
+    400: "invalid_request_error",
+    401: "authentication_error",
+    403: "permission_error",
+    404: "not_found_error",
+    413: "request_too_large",
+    429: "rate_limit_error",
+    529: "overloaded_error",
+};
+
+const ANTHROPIC_STOP_REASONS = {
+    stop: "end_turn",
+    tool_calls: "tool_use",
+    length: "max_tokens",
+};
+
+/**
+ * Anthropic-format error body; the error type follows from the HTTP status.
+ */
+function anthropicErrorBody(status, message) {
+    return {
+        type: "error",
+        error: { type: ANTHROPIC_ERROR_TYPES[status] || "api_error", message },
+    };
+}
+
+/**
+ * Send an error in the Anthropic format. Same signature as sendError, so
+ * the shared request pipeline can use either.
+ */
+function sendAnthropicError(res, status, message, type, headers = {}) {
+    if (res.headersSent) return;
+    res.writeHead(status, {
+        "Content-Type": "application/json",
+        ...headers,
+    });
+    res.end(JSON.stringify(anthropicErrorBody(status, message)));
+}
+
+/**
+ * Convert an Anthropic image/document content block to an OpenAI content
+ * part that prepareAttachments understands.
+ */
+function anthropicBlockToPart(block) {
+    if (block.type === "text") return { type: "text", text: block.text ?? "" };
+    if (block.type !== "image" && block.type !== "document") {
+        throw new RequestError(400, `Unsupported content block type: ${block.type}`);
+    }
+    const source = block.source || {};
+    if (source.type === "text") return { type: "text", text: source.data ?? "" };
+    if (source.type === "url") {
+        // Remote files are fetched the same way as image URLs
+        return { type: "image_url", image_url: { url: source.url } };
+    }
+    if (source.type !== "base64") {
+        throw new RequestError(400, `Unsupported ${block.type} source type: ${source.type}`);
+    }
+    const url = `data:${source.media_type};base64,${source.data}`;
+    return block.type === "image"
+        ? { type: "image_url", image_url: { url } }
+        : { type: "file", file: { file_data: url, filename: block.title } };
+}
+
+/**
+ * Convert an Anthropic Messages request into the OpenAI chat format used
+ * by the rest of the bridge. tool_use / tool_result blocks become
+ * assistant tool_calls and tool messages; thinking blocks are dropped.
+ * Throws RequestError for content the bridge can't represent.
+ */
+function anthropicToChat(data) {
+    if (!isObject(data)) throw new RequestError(400, "The request body must be a JSON object");
+    const messages = [];
+
+    if (data.system) {
+        if (typeof data.system !== "string" && !(Array.isArray(data.system) && data.system.every(isObject))) {
+            throw new RequestError(400, "system must be a string or an array of content blocks");
+        }
+        const system = typeof data.system === "string"
+            ? data.system
+            : data.system.filter((b) => b.type === "text").map((b) => b.text).join("\n");
+        if (system) messages.push({ role: "system", content: system });
+    }
+
+    if (data.messages != null && !Array.isArray(data.messages)) {
+        throw new RequestError(400, "messages must be an array of message objects");
+    }
+    for (const [i, msg] of (data.messages || []).entries()) {
+        if (!isObject(msg)) throw new RequestError(400, `messages[${i}] must be an object`);
+        if (typeof msg.content === "string") {
+            messages.push({ role: msg.role, content: msg.content });
+            continue;
+        }
+        if (msg.content != null && !Array.isArray(msg.content)) {
+            throw new RequestError(400, `messages[${i}].content must be a string or an array of content blocks`);
+        }
+        const blocks = msg.content || [];
+        blocks.forEach((block, j) => {
+            if (!isObject(block)) throw new RequestError(400, `messages[${i}].content[${j}] must be an object`);
+        });
+
+        if (msg.role === "assistant") {
+            const toolCalls = blocks.filter((b) => b.type === "tool_use").map((b) => ({
+                id: b.id,
+                type: "function",
+                function: { name: b.name, arguments: JSON.stringify(b.input ?? {}) },
+            }));
+            messages.push({
+                role: "assistant",
+                content: blocks.filter((b) => b.type === "text").map((b) => b.text).join(""),
+                ...(toolCalls.length && { tool_calls: toolCalls }),
+            });
+            continue;
+        }
+
+        // User turn: tool results become tool messages, everything else one user message
+        const parts = [];
+        for (const block of blocks) {
+            if (block.type === "tool_result") {
+                let content = typeof block.content === "string"
+                    ? block.content
+                    : (block.content || []).filter((b) => b.type === "text").map((b) => b.text).join("\n");
+                if (block.is_error) content = `[Error] ${content}`;
+                messages.push({ role: "tool", tool_call_id: block.tool_use_id, content });
+            } else {
+                parts.push(anthropicBlockToPart(block));
+            }
+        }
+        if (parts.length) messages.push({ role: "user", content: parts });
+    }
+
+    let tools;
+    if (Array.isArray(data.tools)) {
+        tools = data.tools.map((tool) => {
+            if (!tool.input_schema) {
+                throw new RequestError(400, `Unsupported tool: ${tool.name || tool.type} (only client tools with input_schema are supported)`);
+            }
+            return {
+                type: "function",
+                function: { name: tool.name, description: tool.description, parameters: tool.input_schema },
+            };
+        });
+    }
+
+    let toolChoice;
+    switch (data.tool_choice?.type) {
+        case "any": toolChoice = "required"; break;
+        case "none": toolChoice = "none"; break;
+        case "tool": toolChoice = { type: "function", function: { name: data.tool_choice.name } }; break;
+        case "auto": toolChoice = "auto"; break;
+    }
+
+    return {
+        model: data.model,
+        messages,
+        stream: data.stream,
+        tools,
+        tool_choice: toolChoice,
+        parallel_tool_calls: data.tool_choice?.disable_parallel_tool_use ? false : undefined,
+        max_tokens: data.max_tokens,
+        stop: data.stop_sequences,
+        temperature: data.temperature,
+        top_p: data.top_p,
+        top_k: data.top_k,
+        approval_mode: data.approval_mode,
+        activity: data.activity,
+        workspace: data.workspace,
+        cache: data.cache,
+    };
+}
+
+/**
+ * Sink for POST /v1/messages: Anthropic SSE events (message_start,
+ * content_block_start/delta/stop, message_delta, message_stop), or a
+ * single `message` body.
+ */
+function createAnthropicSink(res, stream) {
+    const id = `msg_${randomUUID().replace(/-/g, "")}`;
+    let modelName = "";
+    const content = []; // non-streaming content blocks
+    let openBlock = null; // streaming: type of the open content block
+    let blockIndex = -1;
+    let messageStarted = false; // streaming: message_start sent
+    let ended = false;
+
+    // Activity and thinking open the message too, but only text and tool
+    // calls mark the sink as started, so the request can still fall back
+    const send = (event, data) => {
+        if (!messageStarted) {
+            messageStarted = true;
+            if (!res.headersSent) res.writeHead(200, SSE_HEADERS);
+            send("message_start", {
+                type: "message_start",
+                message: {
+                    id,
+                    type: "message",
+                    role: "assistant",
+                    model: modelName,
+                    content: [],
+                    stop_reason: null,
+                    stop_sequence: null,
+                    usage: { input_tokens: 0, output_tokens: 0 },
+                },
+            });
+        }
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const closeBlock = () => {
+        if (!openBlock) return;
+        send("content_block_stop", { type: "content_block_stop", index: blockIndex });
+        openBlock = null;
+    };
+    const startBlock = (block) => {
+        closeBlock();
+        blockIndex++;
+        openBlock = block.type;
+        send("content_block_start", { type: "content_block_start", index: blockIndex, content_block: block });
+    };
+    const toolUseBlock = (call) => {
+        let input;
+        try {
+            input = JSON.parse(call.function.arguments);
+        } catch {
+            input = {};
+        }
+        return { type: "tool_use", id: call.id.replace(/^call_/, "toolu_"), name: call.function.name, input };
+    };
+
+    const sink = {
+        id,
+        started: false,
+        begin(model) {
+            modelName = `gemini/${model}`;
+        },
+        text(delta) {
+            if (!stream) {
+                const last = content.at(-1);
+                if (last?.type === "text") last.text += delta;
+                else content.push({ type: "text", text: delta });
+                return;
+            }
+            sink.started = true;
+            if (openBlock !== "text") startBlock({ type: "text", text: "" });
+            send("content_block_delta", {
+                type: "content_block_delta",
+                index: blockIndex,
+                delta: { type: "text_delta", text: delta },
+            });
+        },
+        toolCalls(calls) {
+            for (const call of calls) {
+                const block = toolUseBlock(call);
+                if (!stream) {
+                    content.push(block);
+                    continue;
+                }
+                sink.started = true;
+                startBlock({ ...block, input: {} });
+                send("content_block_delta", {
+                    type: "content_block_delta",
+                    index: blockIndex,
+                    delta: { type: "input_json_delta", partial_json: JSON.stringify(block.input) },
+                });
+            }
+        },
+        end({ finishReason, usage, stopSequence = null }) {
+            if (ended) return;
+            ended = true;
+            const stopReason = stopSequence ? "stop_sequence" : ANTHROPIC_STOP_REASONS[finishReason] || "end_turn";
+            const messageUsage = { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens };
+            if (stream) {
+                closeBlock();
+                send("message_delta", {
+                    type: "message_delta",
+                    delta: { stop_reason: stopReason, stop_sequence: stopSequence },
+                    usage: messageUsage,
+                });
+                send("message_stop", { type: "message_stop" });
+                res.end();
+                return;
+            }
+            sink.started = true;
+            res.writeHead(200, {
+                "Content-Type": "application/json",
+            });
+            res.end(
+                JSON.stringify({
+                    id,
+                    type: "message",
+                    role: "assistant",
+                    model: modelName,
+                    content,
+                    stop_reason: stopReason,
+                    stop_sequence: stopSequence,
+                    usage: messageUsage,
+                })
+            );
+        },
+        fail(classified) {
+            if (ended) return;
+            ended = true;
+            if (!res.headersSent) {
+                sendAnthropicError(res, classified.status, classified.message, classified.type, classified.headers);
+                return;
+            }
+            res.write(`event: error\ndata: ${JSON.stringify(anthropicErrorBody(classified.status, classified.message))}\n\n`);
+            res.end();
+        },
+        reasoning(delta) {
+            if (!stream) return;
+            if (openBlock !== "thinking") startBlock({ type: "thinking", thinking: "" });
+            send("content_block_delta", {
+                type: "content_block_delta",
+                index: blockIndex,
+                delta: { type: "thinking_delta", thinking: delta },
+            });
+        },
+        activity(report) {
+            if (stream) send("bridge.activity", { type: "bridge.activity", ...report });
+        },
+        heartbeat() {
+            if (!stream || res.writableEnded) return;
+            if (!res.headersSent) res.writeHead(200, SSE_HEADERS);
+            res.write(": keep-alive\n\n");
+        },
+    };
+    return sink;
+}
+
+// ─── OpenAI Responses API ────────────────────────────────────────
+// Conversations continued with previous_response_id are kept in a local
+// store: each stored response holds the full message history (without
+// `instructions`, which don't carry over) including its own reply. Inline
+// attachment data is left out, so the store stays small.
+
+const responseStore = createJsonStore(join(CONFIG.dataDir, "responses.json"), {
+    ttlMs: CONFIG.responseTtlMs,
+    maxEntries: CONFIG.responseMaxEntries,
+    maxBytes: CONFIG.responseMaxBytes,
+});
+
+/**
+ * `messages` (chat format) as kept in the response store: image data URLs,
+ * audio and file data are replaced with a text note. Later turns of the
+ * conversation no longer include those attachments.
+ */
+function withoutAttachmentData(messages) {
+    const note = (what) => ({ type: "text", text: `[${what} not kept]` });
+    return messages.map((msg) => {
+        if (!Array.isArray(msg.content)) return msg;
+        const content = msg.content.map((part) => {
+            switch (part.type) {
+                case "image_url": {
+                    const url = typeof part.image_url === "string" ? part.image_url : part.image_url?.url;
+                    return url?.startsWith("data:") ? note("image attachment") : part;
+                }
+                case "input_audio":
+                    return note("audio attachment");
+                case "file":
+                    return note(part.file?.filename ? `file attachment ${part.file.filename}` : "file attachment");
+                default:
+                    return part;
+            }
+        });
+        return { ...msg, content };
+    });
+}
+
+/**
+ * Convert a Responses message `content` (string or content parts) to the
+ * chat format understood by prepareAttachments.
+ */
+function responsesContentToChat(content, path) {
+    if (typeof content === "string") return content;
+    if (!Array.isArray(content)) return "";
+    return content.map((part, i) => {
+        if (!isObject(part)) throw new RequestError(400, `${path}.content[${i}] must be an object`);
+        switch (part.type) {
+            case "input_text":
+            case "output_text":
+                return { type: "text", text: part.text ?? "" };
+            case "refusal":
+                return { type: "text", text: part.refusal ?? "" };
+            case "input_image":
+                if (!part.image_url) throw new RequestError(400, "input_image requires image_url (file_id is not supported)");
+                return { type: "image_url", image_url: { url: part.image_url } };
+            case "input_file":
+                if (part.file_data) return { type: "file", file: { file_data: part.file_data, filename: part.filename } };
+                // Remote files are fetched the same way as image URLs
+                if (part.file_url) return { type: "image_url", image_url: { url: part.file_url } };
+                throw new RequestError(400, "input_file requires file_data or file_url (file_id is not supported)");
+            default:
+                throw new RequestError(400, `Unsupported content part type: ${part.type}`);
+        }
+    });
+}
+
+/**
+ * Convert Responses `input` (a string or an array of input items) to chat
+ * messages. function_call / function_call_output items become assistant
+ * tool_calls and tool messages; reasoning items are dropped.
+ */
+function responsesInputToMessages(input) {
+    if (typeof input === "string") return [{ role: "user", content: input }];
+    if (!Array.isArray(input)) throw new RequestError(400, "input must be a string or an array of input items");
+
+    const messages = [];
+    for (const [i, item] of input.entries()) {
+        if (!isObject(item)) throw new RequestError(400, `input[${i}] must be an object`);
+        switch (item.type || "message") {
+            case "message":
+                messages.push({
+                    role: item.role === "developer" ? "system" : item.role,
+                    content: responsesContentToChat(item.content, `input[${i}]`),
+                });
+                break;
+            case "function_call": {
+                // Calls following an assistant message belong to the same turn
+                const call = { id: item.call_id, type: "function", function: { name: item.name, arguments: item.arguments } };
+                const last = messages.at(-1);
+                if (last?.role === "assistant") last.tool_calls = [...(last.tool_calls || []), call];
+                else messages.push({ role: "assistant", content: "", tool_calls: [call] });
+                break;
+            }
+            case "function_call_output":
+                messages.push({
+                    role: "tool",
+                    tool_call_id: item.call_id,
+                    content: typeof item.output === "string" ? item.output : JSON.stringify(item.output),
+                });
+                break;
+            case "reasoning":
+                break;
+            default:
+                throw new RequestError(400, `Unsupported input item type: ${item.type}`);
+        }
+    }
+    return messages;
+}
+
+/**
+ * Convert the Responses `text.format` to a chat `response_format`.
+ */
+function responsesTextFormatToChat(format) {
+    if (format?.type !== "json_schema") return format;
+    return { type: "json_schema", json_schema: { name: format.name, schema: format.schema, strict: format.strict } };
+}
+
+/**
+ * Build the chat-format request for a Responses request whose conversation
+ * (previous turns plus the new input) is `history`.
+ */
+function responsesToChat(data, history) {
+    let tools;
+    if (Array.isArray(data.tools)) {
+        tools = data.tools.map((tool) => {
+            if (tool.type !== "function") {
+                throw new RequestError(400, `Unsupported tool type: ${tool.type} (only function tools are supported)`);
+            }
+            return {
+                type: "function",
+                function: { name: tool.name, description: tool.description, parameters: tool.parameters },
+            };
+        });
+    }
+    const toolChoice = data.tool_choice?.type === "function"
+        ? { type: "function", function: { name: data.tool_choice.name } }
+        : data.tool_choice;
+
+    return {
+        model: data.model,
+        messages: data.instructions ? [{ role: "system", content: data.instructions }, ...history] : history,
+        stream: data.stream,
+        tools,
+        tool_choice: toolChoice,
+        parallel_tool_calls: data.parallel_tool_calls,
+        max_tokens: data.max_output_tokens,
+        response_format: responsesTextFormatToChat(data.text?.format),
+        temperature: data.temperature,
+        top_p: data.top_p,
+        approval_mode: data.approval_mode,
+        activity: data.activity,
+        workspace: data.workspace,
+        cache: data.cache,
+    };
+}
+
+/**
+ * Sink for POST /v1/responses: semantic SSE events (response.created,
+ * response.output_text.delta, ..., response.completed), or a single
+ * `response` object. `request` is the original Responses request, echoed
+ * back in the response object.
+ */
+function createResponsesSink(res, stream, request) {
+    const id = `resp_${randomUUID().replace(/-/g, "")}`;
+    const createdAt = Math.floor(Date.now() / 1000);
+    let modelName = "";
+    const output = [];
+    let textItem = null; // message item receiving text
+    let reasoningItem = null; // reasoning item receiving activity reports
+    let sequence = 0;
+    let ended = false;
+
+    const snapshot = (status, extra = {}) => ({
+        id,
+        object: "response",
+        created_at: createdAt,
+        status,
+        model: modelName,
+        instructions: request.instructions ?? null,
+        previous_response_id: request.previous_response_id ?? null,
+        tools: request.tools ?? [],
+        tool_choice: request.tool_choice ?? "auto",
+        parallel_tool_calls: request.parallel_tool_calls !== false,
+        metadata: request.metadata ?? {},
+        max_output_tokens: request.max_output_tokens ?? null,
+        text: request.text ?? { format: { type: "text" } },
+        temperature: request.temperature ?? null,
+        top_p: request.top_p ?? null,
+        output,
+        error: null,
+        incomplete_details: null,
+        usage: null,
+        ...extra,
+    });
+    const send = (type, data) => {
+        if (!sink.started) {
+            sink.started = true;
+            if (!res.headersSent) res.writeHead(200, SSE_HEADERS);
+            // Output items are announced by their own events
+            send("response.created", { response: snapshot("in_progress", { output: [] }) });
+            send("response.in_progress", { response: snapshot("in_progress", { output: [] }) });
+        }
+        res.write(`event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: sequence++, ...data })}\n\n`);
+    };
+    const closeText = (status = "completed") => {
+        if (!textItem) return;
+        textItem.status = status;
+        if (stream) {
+            const ref = { item_id: textItem.id, output_index: output.indexOf(textItem), content_index: 0 };
+            const part = textItem.content[0];
+            send("response.output_text.done", { ...ref, text: part.text });
+            send("response.content_part.done", { ...ref, part });
+            send("response.output_item.done", { output_index: ref.output_index, item: textItem });
+        }
+        textItem = null;
+    };
+    const closeReasoning = () => {
+        if (!reasoningItem) return;
+        const ref = { item_id: reasoningItem.id, output_index: output.indexOf(reasoningItem), summary_index: 0 };
+        const part = reasoningItem.summary[0];
+        send("response.reasoning_summary_text.done", { ...ref, text: part.text });
+        send("response.reasoning_summary_part.done", { ...ref, part });
+        send("response.output_item.done", { output_index: ref.output_index, item: reasoningItem });
+        reasoningItem = null;
+    };
+
+    const sink = {
+        id,
+        started: false,
+        begin(model) {
+            modelName = `gemini/${model}`;
+        },
+        text(delta) {
+            closeReasoning();
+            if (!textItem) {
+                textItem = {
+                    type: "message",
+                    id: `msg_${randomUUID().replace(/-/g, "")}`,
+                    status: "in_progress",
+                    role: "assistant",
+                    content: [{ type: "output_text", text: "", annotations: [] }],
+                };
+                output.push(textItem);
+                if (stream) {
+                    const outputIndex = output.length - 1;
+                    send("response.output_item.added", { output_index: outputIndex, item: { ...textItem, content: [] } });
+                    send("response.content_part.added", {
+                        item_id: textItem.id,
+                        output_index: outputIndex,
+                        content_index: 0,
+                        part: { type: "output_text", text: "", annotations: [] },
+                    });
+                }
+            }
+            textItem.content[0].text += delta;
+            if (stream) {
+                send("response.output_text.delta", {
+                    item_id: textItem.id,
+                    output_index: output.indexOf(textItem),
+                    content_index: 0,
+                    delta,
+                });
+            }
+        },
+        toolCalls(calls) {
+            closeReasoning();
+            closeText();
+            for (const call of calls) {
+                const item = {
+                    type: "function_call",
+                    id: `fc_${randomUUID().replace(/-/g, "")}`,
+                    call_id: call.id,
+                    name: call.function.name,
+                    arguments: call.function.arguments,
+                    status: "completed",
+                };
+                output.push(item);
+                if (!stream) continue;
+                const outputIndex = output.length - 1;
+                send("response.output_item.added", { output_index: outputIndex, item: { ...item, arguments: "", status: "in_progress" } });
+                send("response.function_call_arguments.delta", { item_id: item.id, output_index: outputIndex, delta: item.arguments });
+                send("response.function_call_arguments.done", { item_id: item.id, output_index: outputIndex, arguments: item.arguments });
+                send("response.output_item.done", { output_index: outputIndex, item });
+            }
+        },
+        end({ finishReason, usage }) {
+            if (ended) return;
+            ended = true;
+            // Output cut at max_output_tokens leaves the response incomplete
+            const incomplete = finishReason === "length";
+            closeReasoning();
+            closeText(incomplete ? "incomplete" : "completed");
+            const response = snapshot(incomplete ? "incomplete" : "completed", {
+                incomplete_details: incomplete ? { reason: "max_output_tokens" } : null,
+                usage: {
+                    input_tokens: usage.prompt_tokens,
+                    output_tokens: usage.completion_tokens,
+                    total_tokens: usage.total_tokens,
+                },
+            });
+            if (stream) {
+                send(incomplete ? "response.incomplete" : "response.completed", { response });
+                res.end();
+                return;
+            }
+            sink.started = true;
+            res.writeHead(200, {
+                "Content-Type": "application/json",
+            });
+            res.end(JSON.stringify(response));
+        },
+        fail(classified) {
+            if (ended) return;
+            ended = true;
+            if (!res.headersSent) {
+                sendError(res, classified.status, classified.message, classified.type, classified.headers);
+                return;
+            }
+            send("response.failed", {
+                response: snapshot("failed", { error: { code: classified.type, message: classified.message } }),
+            });
+            res.end();
+        },
+        reasoning(delta) {
+            if (!stream) return;
+            if (!reasoningItem) {
+                closeText();
+                reasoningItem = {
+                    type: "reasoning",
+                    id: `rs_${randomUUID().replace(/-/g, "")}`,
+                    summary: [{ type: "summary_text", text: "" }],
+                };
+                output.push(reasoningItem);
+                const ref = { item_id: reasoningItem.id, output_index: output.length - 1, summary_index: 0 };
+                send("response.output_item.added", { output_index: ref.output_index, item: { ...reasoningItem, summary: [] } });
+                send("response.reasoning_summary_part.added", { ...ref, part: { type: "summary_text", text: "" } });
+            }
+            reasoningItem.summary[0].text += delta;
+            send("response.reasoning_summary_text.delta", {
+                item_id: reasoningItem.id,
+                output_index: output.indexOf(reasoningItem),
+                summary_index: 0,
+                delta,
+            });
+        },
+        activity(report) {
+            if (stream) send("bridge.activity", report);
+        },
+        heartbeat() {
+            if (!stream || res.writableEnded) return;
+            if (!res.headersSent) res.writeHead(200, SSE_HEADERS);
+            res.write(": keep-alive\n\n");
+        },
+    };
+    return sink;
+}
+
+// ─── In-flight requests ──────────────────────────────────────────
+// Every runGeminiCLI execution is registered while it runs, for the admin
+// endpoints under /v1/admin/requests: list the runs, inspect or tail one
+// request's log entries, or cancel it. A cancelled run's CLI is stopped and
+// the client gets an error instead of a dropped connection; later runs of
+// the same request (other choices, response format retries, the answer
+// after a context summary) fail right away. Requests are named by their
+// X-Request-Id, and all runs of a request share its event log, which is
+// kept for a while after the last run ends.
+
+const REQUEST_EVENT_LIMIT = 200; // log entries kept per request
+const RUN_TOOL_LIMIT = 10; // tool_use events listed per run
+const REQUEST_LOG_RETENTION_MS = 60000;
+
+const REQUEST_CANCELLED = { status: 409, message: "The request was cancelled by an administrator", type: "request_cancelled" };
+
+const activeRuns = new Set();
+// requestId → { runs, events, followers, endedAt, expiryTimer }
+const requestLogs = new Map();
+// Responses of cancelled requests → { reason, failure } (see stopRuns)
+const cancelledResponses = new WeakMap();
+
+/**
+ * Register a runGeminiCLI execution; `details` are its settings. Returns
+ * the run record, which runAttempt keeps up to date.
+ */
+function trackRun(details) {
+    const run = { ...details, startedAt: Date.now(), attempts: 0, attempt: null, tools: [] };
+    activeRuns.add(run);
+
+    let entry = requestLogs.get(run.requestId);
+    if (!entry) {
+        entry = { runs: new Set(), events: [], followers: new Set(), endedAt: null, expiryTimer: null };
+        requestLogs.set(run.requestId, entry);
+        logTaps.set(run.requestId, (event) => {
+            entry.events.push(event);
+            if (entry.events.length > REQUEST_EVENT_LIMIT) entry.events.shift();
+            for (const res of entry.followers) res.write(`data: ${JSON.stringify(event)}\n\n`);
+        });
+    }
+    clearTimeout(entry.expiryTimer);
+    entry.endedAt = null;
+    entry.runs.add(run);
+    return run;
+}
+
+/**
+ * Unregister a finished run. When it was the request's last, followers of
+ * the event log are told so and the log expires after a while.
+ */
+function untrackRun(run) {
+    activeRuns.delete(run);
+    const entry = requestLogs.get(run.requestId);
+    if (!entry) return;
+    entry.runs.delete(run);
+    if (entry.runs.size) return;
+    entry.endedAt = Date.now();
+    for (const res of entry.followers) res.end("event: end\ndata: {}\n\n");
+    entry.followers.clear();
+    entry.expiryTimer = setTimeout(() => {
+        requestLogs.delete(run.requestId);
+        logTaps.delete(run.requestId);
+    }, REQUEST_LOG_RETENTION_MS);
+}
+
+/**
+ * Record a tool_use / tool_result event of `run` for its status.
+ */
+function recordRunTool(run, event) {
+    if (event.type === "tool_use") {
+        run.tools.push({ id: event.tool_id ?? null, name: event.tool_name, status: "running", at: Date.now() });
+        if (run.tools.length > RUN_TOOL_LIMIT) run.tools.shift();
+        return;
+    }
+    const tool = run.tools.find((t) => t.id && t.id === event.tool_id);
+    if (tool) tool.status = event.status;
+}
+
+/**
+ * Admin view of a run.
+ */
+function runStatus(run) {
+    const now = Date.now();
+    const { attempt } = run;
+    const lastActivity = attempt ? attempt.lastActivity() : run.startedAt;
+    return {
+        requestId: run.requestId,
+        model: attempt?.model ?? run.model,
+        approvalMode: run.approvalMode,
+        workspace: run.workspace,
+        workingDir: run.workingDir,
+        stream: run.stream,
+        startedAt: new Date(run.startedAt).toISOString(),
+        elapsedMs: now - run.startedAt,
+        attempt: run.attempts,
+        pid: attempt?.pid ?? null,
+        warm: attempt?.warm ?? false,
+        credential: attempt?.credential ?? null,
+        lastActivityAt: new Date(lastActivity).toISOString(),
+        idleMs: now - lastActivity,
+        cancelled: cancelledResponses.has(run.res),
+        recentTools: run.tools.map((t) => ({ ...t, at: new Date(t.at).toISOString() })),
+    };
+}
+
+/**
+ * Admin view of a request: its runs and recent log entries. Null if the
+ * bridge has no record of it.
+ */
+function requestStatus(requestId) {
+    const entry = requestLogs.get(requestId);
+    if (!entry) return null;
+    return {
+        requestId,
+        active: entry.runs.size > 0,
+        endedAt: entry.endedAt && new Date(entry.endedAt).toISOString(),
+        runs: [...entry.runs].map(runStatus),
+        events: entry.events,
+    };
+}
+
+/**
+ * Cancel a request's runs: stop their Gemini CLI processes and end the
+ * responses with REQUEST_CANCELLED. Returns the number of runs cancelled.
+ */
+function cancelRequest(requestId, admin) {
+    const runs = [...(requestLogs.get(requestId)?.runs || [])];
+    if (runs.some((run) => !cancelledResponses.has(run.res))) {
+        log.info(`⊘ Request ${requestId.slice(-8)}: cancelled by ${admin}`, { event: "request.admin_cancel", requestId, admin });
+    }
+    stopRuns(runs, "by an admin", REQUEST_CANCELLED);
+    return runs.length;
+}
+
+/**
+ * Stop `runs` and keep their requests from starting new ones: their
+ * Gemini CLI processes are terminated and the clients get `failure`.
+ * `reason` completes "cancelled …" in the log.
+ */
+function stopRuns(runs, reason, failure) {
+    for (const run of runs) {
+        if (!cancelledResponses.has(run.res)) cancelledResponses.set(run.res, { reason, failure });
+    }
+    for (const run of runs) run.attempt?.cancel();
+}
+
+/**
+ * Stream a request's event log to `res` as SSE: the entries so far, then
+ * new ones until its last run ends.
+ */
+function followRequestLog(requestId, res) {
+    const entry = requestLogs.get(requestId);
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+    });
+    for (const event of entry.events) res.write(`data: ${JSON.stringify(event)}\n\n`);
+    if (!entry.runs.size) {
+        res.end("event: end\ndata: {}\n\n");
+        return;
+    }
+    entry.followers.add(res);
+    const heartbeat = CONFIG.heartbeatMs > 0 ? setInterval(() => res.write(": keep-alive\n\n"), CONFIG.heartbeatMs) : null;
+    res.on("close", () => {
+        clearInterval(heartbeat);
+        entry.followers.delete(res);
+    });
+}
+
+// ─── Core: Run Gemini CLI ────────────────────────────────────────
+
+/**
+ * Run a chat completion on `geminiModel` (from resolveModel) and write the
+ * response to `res` through `sink` (see Response sinks), which renders the
+ * endpoint's format, streaming or not. `tools` are the client-side
+ * tool definitions from normalizeTools; when present, <tool_call> blocks in
+ * the output are returned as tool calls. `attachmentDir` (from
+ * prepareAttachments) is made readable to the CLI; the caller removes it.
+ * `approvalMode`, `workspace` and `workingDir` are the validated settings
+ * from resolveRunSettings; `isModelAllowed` filters the fallback chain.
+ * `resume` ({ sessionId, fullPrompt, credential }) resumes a Gemini CLI
+ * session (held by the `credential` profile, if any) with `prompt` holding
+ * only the new turns; if the resume fails before any output, the request is
+ * replayed with `fullPrompt` in a fresh session.
+ * `maxTokens`, `stop` and `sampling` come from resolveGenerationParams.
+ * `activity` (from resolveActivity) reports Gemini CLI's tool use and
+ * thoughts to a streaming client.
+ * `onComplete({ model, credential, sessionId, content, toolCalls, usage, finishReason, stopSequence })`
+ * is called after a successful response (`credential` is the profile id). `requestId` (X-Request-Id) tags the log entries.
+ *
+ * On capacity / rate-limit errors the request is re-run on the other
+ * credential profiles, then retried with backoff and re-run along the
+ * model's fallback chain (CONFIG.fallbackChains), as long as nothing has
+ * been sent to the client yet. The response `model` field
+ * names the model that actually answered. The run is listed for admins
+ * while it goes on and can be cancelled (see In-flight requests).
+ *
+ * Returns a promise resolving to the outcome: "completed", "error" or "cancelled".
+ */
+async function runGeminiCLI(prompt, geminiModel, stream, res, {
+    sink,
+    requestId = sink.id,
+    tools = [],
+    attachmentDir = null,
+    approvalMode = CONFIG.approvalMode,
+    workspace = "default",
+    workingDir = CONFIG.workingDir,
+    isModelAllowed = () => true,
+    resume = null,
+    maxTokens = null,
+    stop = [],
+    sampling = null,
+    activity = "off",
+    onComplete = null,
+} = {}) {
+    const job = {
+        requestId,
+        sink,
+        prompt,
+        stream,
+        res,
+        tools,
+        attachmentDir,
+        approvalMode,
+        workspace,
+        workingDir,
+        resume,
+        maxTokens,
+        stop,
+        sampling,
+        activity,
+        onComplete,
+        run: trackRun({ requestId, res, model: geminiModel, approvalMode, workspace, workingDir, stream }),
+    };
+    try {
+        return await runAttempts(job, geminiModel, isModelAllowed);
+    } finally {
+        untrackRun(job.run);
+    }
+}
+
+/**
+ * Run `job` along `geminiModel`'s retries and fallback chain (see
+ * runGeminiCLI). Resolves to the outcome of the last attempt.
+ */
+async function runAttempts(job, geminiModel, isModelAllowed) {
+    const { requestId, res } = job;
+
+    // Each model gets 1 + fallbackRetries attempts before moving down the chain
+    const fallbacks = (CONFIG.fallbackChains.get(geminiModel) || [])
+        .map((name) => resolveModel(name)?.id)
+        .filter((model) => model && isModelAllowed(model));
+    const models = [geminiModel, ...fallbacks];
+    const attempts = models.flatMap((model) =>
+        Array.from({ length: CONFIG.fallbackRetries + 1 }, (_, retry) => ({ model, retry }))
+    );
+
+    for (let i = 0; i < attempts.length; i++) {
+        const { model, retry } = attempts[i];
+        if (i > 0) {
+            // Back off before retrying the same model; switch to a fallback model right away
+            const delay = retry > 0 ? CONFIG.retryBackoffMs * 2 ** (retry - 1) : 0;
+            log.info(
+                `↻ Request ${requestId.slice(-8)}: ${retry > 0 ? "retrying" : "falling back to"} ${model}${delay ? ` in ${delay}ms` : ""} (attempt ${i + 1}/${attempts.length})`,
+                { event: retry > 0 ? "request.retry" : "request.fallback", requestId, model, attempt: i + 1, delayMs: delay }
+            );
+            if (delay) await sleep(delay);
+            if (res.destroyed) {
+                log.info(`⊘ Request ${requestId.slice(-8)}: cancelled while waiting to retry`, { event: "request.cancelled", requestId, model });
+                return "cancelled";
+            }
+        }
+        const canFallback = () => i < attempts.length - 1 || hasAvailableCredential();
+        let outcome = await runAttempt(job, model, canFallback);
+        // Quotas are per account: the model gets another try on each profile that isn't cooling down
+        while (outcome === "fallback" && hasAvailableCredential()) {
+            log.info(`↻ Request ${requestId.slice(-8)}: rate limited on ${model}, switching credentials`, { event: "request.rotate", requestId, model });
+            if (res.destroyed) return "cancelled";
+            outcome = await runAttempt(job, model, canFallback);
+        }
+        if (outcome === "replay") {
+            // The session could not be resumed: send the full history in a new one
+            log.info(`↻ Request ${requestId.slice(-8)}: session resume failed, replaying full history`, { event: "session.replay", requestId, model });
+            job.prompt = job.resume.fullPrompt;
+            job.resume = null;
+            if (!res.headersSent) res.setHeader("X-Session-Mode", "replayed");
+            outcome = await runAttempt(job, model, canFallback);
+        }
+        if (outcome !== "fallback") return outcome;
+    }
+}
+
+/**
+ * Gemini CLI arguments for a run on `model`, up to the prompt.
+ */
+function cliArgs(model, { streamJson, approvalMode, resume = null, attachmentDir = null }) {
+    const args = ["--model", model, "--output-format", streamJson ? "stream-json" : "json"];
+
+    // Approval mode (yolo = auto-approve, plan = read-only)
+    if (approvalMode === "yolo") {
         args.push("-y");
-    } else if (CONFIG.approvalMode) {
-        args.push("--approval-mode", CONFIG.approvalMode);
+    } else if (approvalMode) {
+        args.push("--approval-mode", approvalMode);
     }
 
-    // Prompt (via argument or stdin)
-    let tempFile = null;
-    if (!useStdinPipe) {
-        args.push("--prompt", prompt);
-    } else {
-        // Write to temp file, pipe via stdin
-        tempFile = writeTempPrompt(prompt);
-        args.push("--prompt", "-"); // read from stdin
+    // Continue an earlier conversation's session
+    if (resume) {
+        args.push("--resume", resume.sessionId);
     }
 
-    console.log(
-        `[${new Date().toISOString()}] → Request ${requestId.slice(-8)}: model=${geminiModel} stream=${stream} prompt=${prompt.length} chars (${useStdinPipe ? "stdin-pipe" : "arg"}) approval=${CONFIG.approvalMode}`
-    );
+    // Let the CLI read attachments referenced with @path
+    if (attachmentDir) {
+        args.push("--include-directories", attachmentDir);
+    }
+    return args;
+}
+
+// Gemini CLI processes that haven't exited yet
+const cliProcesses = new Set();
 
+/**
+ * Spawn Gemini CLI with `args` in `cwd`, with `credential`'s environment
+ * and an optional settings file, counted as a live process until it exits.
+ * `stdin` keeps a pipe to its standard input.
+ */
+function spawnCli(args, { cwd, credential = null, settingsFile = null, stdin = false }) {
     const proc = spawn(CONFIG.geminiBin, args, {
-        cwd: CONFIG.workingDir,
+        cwd,
         env: {
-            ...process.env,
+            ...credentialEnv(credential),
             // Ensure Gemini CLI doesn't try to open a terminal UI
             CI: "true",
             TERM: "dumb",
+            ...(settingsFile && { GEMINI_CLI_SYSTEM_DEFAULTS_PATH: settingsFile }),
         },
-        stdio: useStdinPipe ? ["pipe", "pipe", "pipe"] : ["ignore", "pipe", "pipe"],
+        stdio: [stdin ? "pipe" : "ignore", "pipe", "pipe"],
     });
+    metrics.liveProcesses++;
+    cliProcesses.add(proc);
+    let exited = false;
+    const onExit = () => {
+        if (exited) return;
+        exited = true;
+        metrics.liveProcesses--;
+        cliProcesses.delete(proc);
+    };
+    proc.once("close", onExit);
+    proc.once("error", onExit);
+    return proc;
+}
+
+/**
+ * Spawn Gemini CLI once for `job` on `geminiModel` and write the response.
+ * When the CLI fails before anything was written, nothing is sent if
+ * runGeminiCLI can try again: "fallback" for a capacity / rate-limit error
+ * (when `canFallback()` says another attempt follows), "replay" for any
+ * other failure while resuming a session. The run uses a credential
+ * profile from the pool, if one is configured; a rate limit puts it on
+ * cooldown. A matching warm process (see Warm process pool) is used
+ * instead of spawning when one is ready.
+ * Resolves to "completed", "error", "cancelled", "fallback" or "replay".
+ */
+function runAttempt(job, geminiModel, canFallback) {
+    const { requestId, sink, prompt, stream, res, tools, attachmentDir, approvalMode, workspace, workingDir, resume, maxTokens, stop, sampling, activity, run } = job;
+
+    sink.begin(geminiModel);
+
+    // Cancelled (see stopRuns) while an earlier run or attempt was going on
+    const stopped = cancelledResponses.get(res);
+    if (stopped) {
+        sink.fail(stopped.failure);
+        return Promise.resolve("cancelled");
+    }
+    run.attempts++;
+
+    // A resumed session lives in its profile's CLI home, so that profile comes first
+    const credential = CREDENTIALS.length ? pickCredential(resume?.credential) : null;
+    if (CREDENTIALS.length && !credential) {
+        const classified = credentialsExhaustedError();
+        log.warn(`✗ Request ${requestId.slice(-8)}: every credential profile is cooling down`, {
+            event: "request.failed",
+            requestId,
+            model: geminiModel,
+            errorType: classified.type,
+        });
+        sink.fail(classified);
+        return Promise.resolve("error");
+    }
+
+    // A warm process (see Warm process pool) has the plain settings of its
+    // pool: no resumed session, attachments or sampling settings file
+    const warm = !resume && !attachmentDir && !sampling
+        ? takeWarmProcess(geminiModel, approvalMode, credential, workingDir)
+        : null;
+
+    // Output limits are enforced as text arrives, so requests with max_tokens
+    // or stop sequences read stream-json output even when the client doesn't
+    // stream; warm processes always write stream-json
+    const streamJson = stream || Boolean(maxTokens || stop.length) || Boolean(warm);
+
+    // Determine if we need to pipe prompt via stdin (a warm process reads it anyway)
+    const useStdinPipe = !warm && prompt.length > CONFIG.maxArgLen;
+
+    // Prompt (via argument or stdin; a warm process gets it on stdin below)
+    let tempFile = null;
+    const args = warm ? null : cliArgs(geminiModel, { streamJson, approvalMode, resume, attachmentDir });
+    if (useStdinPipe) {
+        // Write to temp file, pipe via stdin
+        tempFile = writeTempPrompt(prompt);
+        args.push("--prompt", "-"); // read from stdin
+    } else if (!warm) {
+        args.push("--prompt", prompt);
+    }
+
+    // Shared fields of this attempt's log entries
+    const logFields = { requestId, model: geminiModel, stream, approvalMode, workspace, credential: credential?.id, warm: Boolean(warm) };
+    const promptVia = warm ? "warm" : useStdinPipe ? "stdin" : "arg";
+    log.info(
+        `→ Request ${requestId.slice(-8)}: model=${geminiModel} stream=${stream} prompt=${prompt.length} chars (${warm ? "warm" : useStdinPipe ? "stdin-pipe" : "arg"}) approval=${approvalMode} workspace=${workspace}${resume ? ` resume=${resume.sessionId.slice(0, 8)}` : ""}${credential ? ` credential=${credential.id}` : ""}`,
+        { ...logFields, event: "request.start", promptChars: prompt.length, promptVia, resumeSession: resume?.sessionId }
+    );
+    if (CONFIG.logPrompts) log.debug(`  [prompt] ${prompt}`, { ...logFields, event: "request.prompt", prompt });
+
+    // Sampling parameters go in a settings file of their own
+    const settingsFile = sampling && writeSamplingSettings(geminiModel, sampling);
+
+    const proc = warm || spawnCli(args, { cwd: workingDir, credential, settingsFile, stdin: useStdinPipe });
+
+    // A warm process gets the prompt as it is
+    if (warm) {
+        proc.stdin.end(prompt);
+    }
 
     // If using stdin pipe, feed the prompt
     if (useStdinPipe && tempFile) {
         const fileStream = createReadStream(tempFile);
+        proc.stdin.on("error", () => { }); // EPIPE if the CLI is killed mid-write
         fileStream.pipe(proc.stdin);
         fileStream.on("end", () => {
             proc.stdin.end();
@@ -293,10 +4277,12 @@ function runGeminiCLI(prompt, requestModel, stream, res) {
     }
 
     // Timeout: overall request timeout
+    let timedOut = false; // the bridge killed the run (timeout or watchdog)
     const timer = setTimeout(() => {
-        console.error(`[${new Date().toISOString()}] ✗ Request ${requestId.slice(-8)}: timeout after ${CONFIG.timeoutMs / 1000}s`);
-        proc.kill("SIGTERM");
-        setTimeout(() => proc.kill("SIGKILL"), 5000);
+        timedOut = true;
+        log.error(`✗ Request ${requestId.slice(-8)}: timeout after ${CONFIG.timeoutMs / 1000}s`, { ...logFields, event: "request.timeout", timeoutMs: CONFIG.timeoutMs });
+        metrics.timeouts.inc();
+        terminateProcess(proc);
     }, CONFIG.timeoutMs);
 
     // Inactivity watchdog: kill process if no stdout/stderr output for too long.
@@ -306,13 +4292,118 @@ function runGeminiCLI(prompt, requestModel, stream, res) {
     const inactivityTimer = setInterval(() => {
         const idleMs = Date.now() - lastActivityTime;
         if (idleMs > INACTIVITY_TIMEOUT_MS) {
-            console.error(`[${new Date().toISOString()}] ✗ Request ${requestId.slice(-8)}: inactivity watchdog triggered (${(idleMs / 1000).toFixed(0)}s idle) — killing hung process`);
+            log.error(
+                `✗ Request ${requestId.slice(-8)}: inactivity watchdog triggered (${(idleMs / 1000).toFixed(0)}s idle) — killing hung process`,
+                { ...logFields, event: "request.watchdog", idleMs }
+            );
             clearInterval(inactivityTimer);
-            proc.kill("SIGTERM");
-            setTimeout(() => { try { proc.kill("SIGKILL"); } catch {} }, 5000);
+            metrics.watchdogKills.inc();
+            timedOut = true;
+            terminateProcess(proc);
         }
     }, 10000); // check every 10s
 
+    // Client disconnect: nobody is listening any more, so stop the CLI
+    // (in yolo mode it would otherwise keep running tools for minutes).
+    let cancelled = false;
+    let finished = false;
+    const onClientClose = () => {
+        if (res.writableEnded || finished) return;
+        cancelled = true;
+        log.info(`⊘ Request ${requestId.slice(-8)}: client disconnected — terminating Gemini CLI (pid ${proc.pid})`, { ...logFields, event: "request.disconnect", pid: proc.pid });
+        terminateProcess(proc);
+    };
+    res.on("close", onClientClose);
+
+    // Live state for the admin endpoints (see In-flight requests)
+    run.attempt = {
+        model: geminiModel,
+        pid: proc.pid,
+        warm: Boolean(warm),
+        credential: credential?.id ?? null,
+        lastActivity: () => lastActivityTime,
+        cancel: () => {
+            if (finished || cancelled) return;
+            cancelled = true;
+            terminateProcess(proc);
+        },
+    };
+
+    // Release timers, listeners and temp files exactly once, record metrics
+    // and report the outcome (`errorType` is the classifyError type)
+    let resolveDone;
+    const done = new Promise((resolve) => { resolveDone = resolve; });
+    const finish = (outcome, errorType = "server_error") => {
+        if (finished) return false;
+        finished = true;
+        run.attempt = null;
+        clearTimeout(timer);
+        clearInterval(inactivityTimer);
+        res.off("close", onClientClose);
+        if (tempFile) cleanupTempFile(tempFile);
+        if (settingsFile) cleanupTempFile(settingsFile);
+        const status = { completed: "ok", cancelled: "cancelled" }[outcome] || errorType;
+        metrics.runs.inc({ model: geminiModel, stream, status });
+        if (outcome === "completed") {
+            metrics.duration.observe({ model: geminiModel, stream }, (Date.now() - startTime) / 1000);
+        }
+        resolveDone(outcome);
+        return true;
+    };
+    // Structured error reported by the CLI, for classifyError
+    let cliError = null;
+    const classify = (err = null) => {
+        const classified = classifyError(err, stderrOutput, { cliError, timedOut });
+        if (credential && classified.type === "rate_limit") {
+            coolDownCredential(credential, classified, requestId);
+            // With the whole pool cooling down, the client should wait for the first profile to return
+            if (!hasAvailableCredential()) classified.headers = credentialsExhaustedError().headers;
+        }
+        return classified;
+    };
+    // Failures before any output that runGeminiCLI can retry
+    const retryOutcome = (classified) => {
+        if (resume && classified.type !== "rate_limit") return "replay";
+        if (canFallback() && classified.type === "rate_limit") return "fallback";
+        return null;
+    };
+    const logRetry = (classified, exitCode) => {
+        log.warn(`✗ Request ${requestId.slice(-8)}: ${geminiModel} failed → ${classified.type}`, {
+            ...logFields,
+            event: "request.attempt_failed",
+            exitCode,
+            errorType: classified.type,
+            cliError: cliError ? `${cliError.type ?? "error"}: ${cliError.message}` : undefined,
+            durationMs: Date.now() - startTime,
+            detail: stderrExcerpt(stderrOutput),
+        });
+    };
+    const logFailed = (classified, exitCode, what = `exit code ${exitCode}`) => {
+        log.error(`✗ Request ${requestId.slice(-8)}: ${what} → ${classified.type}`, {
+            ...logFields,
+            event: "request.failed",
+            exitCode,
+            errorType: classified.type,
+            cliError: cliError ? `${cliError.type ?? "error"}: ${cliError.message}` : undefined,
+            durationMs: Date.now() - startTime,
+            detail: stderrExcerpt(stderrOutput),
+        });
+    };
+    // The client went away, or the request was stopped (see stopRuns) and
+    // the still-connected client gets an error
+    const endCancelled = (mode, chars) => {
+        if (!finish("cancelled")) return;
+        const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+        const stopped = cancelledResponses.get(res);
+        log.info(`⊘ Request ${requestId.slice(-8)}: cancelled${stopped ? ` ${stopped.reason}` : ""} after ${elapsed}s (${mode}, ${chars} chars)`, {
+            ...logFields,
+            event: "request.cancelled",
+            durationMs: Date.now() - startTime,
+            chars,
+        });
+        if (stopped && !res.destroyed) sink.fail(stopped.failure);
+    };
+
     let stderrOutput = "";
     proc.stderr.on("data", (chunk) => {
         stderrOutput += chunk.toString();
@@ -321,34 +4412,69 @@ function runGeminiCLI(prompt, requestModel, stream, res) {
 
     const startTime = Date.now();
 
-    if (stream) {
+    if (streamJson) {
         // ── Streaming mode: parse Gemini CLI stream-json events ──
-        res.writeHead(200, {
-            "Content-Type": "text/event-stream",
-            "Cache-Control": "no-cache",
-            Connection: "keep-alive",
-            "Access-Control-Allow-Origin": "*",
-        });
-
         let buffer = "";
         let chunkIndex = 0;
         let totalContent = "";
+        let sentContent = ""; // what the client saw, for onComplete
+        let sentToolCalls = [];
+        let sessionId = resume?.sessionId || null;
+        let result = null; // { finishReason, usage } from the result event
+        let resultFailed = false; // the result event reported an error
+        const toolFilter = tools.length ? createToolCallFilter(tools) : null;
+        const limit = createOutputLimit({ maxTokens, stop });
+        let stoppedEarly = false; // the CLI was stopped at max_tokens or a stop sequence
+        let firstTokenMs = null; // time to the first text, warm or cold start
+        const toolNames = new Map(); // tool id → name, for activity reports
 
-        // Send initial SSE role chunk
-        const roleChunk = {
-            id: requestId,
-            object: "chat.completion.chunk",
-            created,
-            model: modelName,
-            choices: [
-                {
-                    index: 0,
-                    delta: { role: "assistant", content: "" },
-                    finish_reason: null,
-                },
-            ],
+        const forward = (text) => {
+            if (!text) return;
+            sentContent += text;
+            sink.text(text);
+        };
+        const sendText = (text) => {
+            forward(limit.push(text));
+            if (limit.reason && !stoppedEarly) {
+                stoppedEarly = true;
+                log.info(`✂ Request ${requestId.slice(-8)}: ${limit.reason === "length" ? `max_tokens (${maxTokens})` : "stop sequence"} reached — stopping Gemini CLI`, {
+                    ...logFields,
+                    event: "request.limit",
+                    reason: limit.reason,
+                });
+                terminateProcess(proc);
+            }
+        };
+
+        // Release text held back by the tool-call filter and send any tool
+        // calls, once: at the result event, or when the CLI exits without one.
+        // Returns the finish reason.
+        let heldReleased = false;
+        const releaseHeld = () => {
+            if (!toolFilter || heldReleased) return sentToolCalls.length ? "tool_calls" : "stop";
+            heldReleased = true;
+            const { content, toolCalls } = toolFilter.flush();
+            if (content) sendText(content);
+            forward(limit.flush());
+            // Calls past max_tokens or a stop sequence were cut off
+            if (!toolCalls.length || limit.reason) return "stop";
+            sentToolCalls = toolCalls;
+            sink.toolCalls(toolCalls);
+            log.info(`  [tool_calls] ${toolCalls.map((c) => c.function.name).join(", ")}`, {
+                ...logFields,
+                event: "tool_calls",
+                tools: toolCalls.map((c) => c.function.name),
+            });
+            return "tool_calls";
+        };
+
+        const report = (event) => {
+            if (!stream || activity === "off" || stoppedEarly) return;
+            const found = activityFromEvent(event, toolNames);
+            if (!found) return;
+            if (activity === "events") sink.activity(found);
+            else sink.reasoning(activityText(found));
         };
-        res.write(`data: ${JSON.stringify(roleChunk)}\n\n`);
 
         proc.stdout.on("data", (data) => {
             lastActivityTime = Date.now();
@@ -367,34 +4493,52 @@ function runGeminiCLI(prompt, requestModel, stream, res) {
                 }
 
                 // Process Gemini CLI stream-json events
-                if (event.type === "message" && event.role === "assistant") {
+                if (event.type === "init") {
+                    if (event.session_id) sessionId = event.session_id;
+                }
+                else if (event.type === "message" && event.role === "assistant") {
                     const content = event.content || "";
                     if (!content) continue;
 
+                    if (!totalContent) {
+                        firstTokenMs = Date.now() - startTime;
+                        metrics.firstToken.observe({ model: geminiModel, warm: Boolean(warm) }, firstTokenMs / 1000);
+                    }
                     totalContent += content;
                     chunkIndex++;
 
-                    const sseChunk = {
-                        id: requestId,
-                        object: "chat.completion.chunk",
-                        created,
-                        model: modelName,
-                        choices: [
-                            {
-                                index: 0,
-                                delta: { content },
-                                finish_reason: null,
-                            },
-                        ],
-                    };
-                    res.write(`data: ${JSON.stringify(sseChunk)}\n\n`);
+                    const visible = toolFilter ? toolFilter.push(content) : content;
+                    if (visible) sendText(visible);
                 }
-                // tool_use events can be logged but are handled by Gemini CLI internally
+                // Gemini CLI runs its tools itself; they are logged and reported as activity
                 else if (event.type === "tool_use") {
-                    console.log(`  [tool_use] ${event.tool_name} (${event.tool_id || ""})`);
+                    log.info(`  [tool_use] ${event.tool_name} (${event.tool_id || ""})`, {
+                        ...logFields,
+                        event: "tool_use",
+                        tool: event.tool_name,
+                        toolId: event.tool_id,
+                        parameters: CONFIG.logPrompts ? JSON.stringify(event.parameters ?? {}) : undefined,
+                    });
+                    recordRunTool(run, event);
+                    report(event);
                 }
                 else if (event.type === "tool_result") {
-                    console.log(`  [tool_result] ${event.tool_id || ""}: ${event.status}`);
+                    log.info(`  [tool_result] ${event.tool_id || ""}: ${event.status}`, {
+                        ...logFields,
+                        event: "tool_result",
+                        toolId: event.tool_id,
+                        status: event.status,
+                    });
+                    recordRunTool(run, event);
+                    report(event);
+                }
+                else if (event.type === "thought") {
+                    report(event);
+                }
+                else if (event.type === "result" && event.status === "error") {
+                    // Fatal errors end the stream with a failed result
+                    resultFailed = true;
+                    cliError = event.error ?? { type: null, message: "unknown error" };
                 }
                 else if (event.type === "result") {
                     // Final result event - extract usage stats
@@ -405,221 +4549,899 @@ function runGeminiCLI(prompt, requestModel, stream, res) {
                         total_tokens: stats.total_tokens || estimateTokens(prompt) + estimateTokens(totalContent),
                     };
 
-                    // Send final chunk with finish_reason
-                    const finalChunk = {
-                        id: requestId,
-                        object: "chat.completion.chunk",
-                        created,
-                        model: modelName,
-                        choices: [
-                            {
-                                index: 0,
-                                delta: {},
-                                finish_reason: "stop",
-                            },
-                        ],
-                        usage,
-                    };
-                    res.write(`data: ${JSON.stringify(finalChunk)}\n\n`);
+                    // The response itself ends when the CLI exits
+                    result = { finishReason: releaseHeld(), usage };
                 }
                 else if (event.type === "error") {
-                    console.error(`  [gemini-error] ${event.message || JSON.stringify(event)}`);
+                    log.warn(`  [gemini-error] ${event.message || JSON.stringify(event)}`, { ...logFields, event: "gemini.error" });
+                    // Kept in case the run fails; a failed result event takes precedence
+                    if (event.severity !== "warning" && !cliError) cliError = { type: null, message: event.message ?? "" };
                 }
             }
         });
 
         proc.on("close", (code) => {
-            clearTimeout(timer);
-            clearInterval(inactivityTimer);
-            if (tempFile) cleanupTempFile(tempFile);
+            if (cancelled) {
+                endCancelled("stream", totalContent.length);
+                return;
+            }
+            // A spawn error was already reported, and mustn't be classified again
+            if (finished) return;
+            const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+
+            // A run the bridge killed has failed even if the CLI exits cleanly on SIGTERM
+            if ((code !== 0 || resultFailed || (timedOut && !result)) && !stoppedEarly) {
+                const classified = classify();
+                const retry = !totalContent && !sink.started && retryOutcome(classified);
+                if (retry) {
+                    if (finish(retry, classified.type)) logRetry(classified, code);
+                    return;
+                }
+                if (!finish("error", classified.type)) return;
+                logFailed(classified, code);
+                sink.fail(classified);
+                return;
+            } else {
+                if (!finish("completed")) return;
+                const finishReason = releaseHeld();
+                forward(limit.flush());
+                // Without a result event there are no stats to report
+                const final = result || {
+                    finishReason,
+                    usage: {
+                        prompt_tokens: estimateTokens(prompt),
+                        completion_tokens: estimateTokens(totalContent),
+                        total_tokens: estimateTokens(prompt) + estimateTokens(totalContent),
+                    },
+                };
+                if (limit.reason) final.finishReason = limit.reason;
+                final.stopSequence = limit.stopSequence;
+                job.onComplete?.({
+                    model: geminiModel,
+                    credential: credential?.id ?? null,
+                    // A session stopped mid-answer doesn't hold the reply the client got
+                    sessionId: stoppedEarly ? null : sessionId,
+                    content: sentContent,
+                    toolCalls: sentToolCalls,
+                    usage: final.usage,
+                    finishReason: final.finishReason,
+                    stopSequence: final.stopSequence,
+                });
+                recordUsage(geminiModel, final.usage);
+                sink.end(final);
+            }
+
+            const firstToken = firstTokenMs === null ? "" : `, first token ${(firstTokenMs / 1000).toFixed(1)}s${warm ? " warm" : ""}`;
+            log.info(`✓ Request ${requestId.slice(-8)}: completed in ${elapsed}s (${stream ? "stream" : "non-stream"}, model=${geminiModel}, ${totalContent.length} chars${firstToken}${limit.reason ? `, finish=${limit.reason}` : ""})`, {
+                ...logFields,
+                event: "request.completed",
+                exitCode: code,
+                durationMs: Date.now() - startTime,
+                firstTokenMs: firstTokenMs ?? undefined,
+                chars: totalContent.length,
+                toolCalls: sentToolCalls.length,
+            });
+        });
+    } else {
+        // ── Non-streaming mode: collect full JSON response ──
+        let stdout = "";
+
+        proc.stdout.on("data", (data) => {
+            lastActivityTime = Date.now();
+            stdout += data.toString();
+        });
+
+        proc.on("close", (code) => {
+            if (cancelled) {
+                endCancelled("non-stream", stdout.length);
+                return;
+            }
+            // A spawn error was already reported, and mustn't be classified again
+            if (finished) return;
 
             const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
 
-            if (code !== 0 && !totalContent) {
-                // Only send error if we haven't sent any content yet
-                const classified = classifyError(null, stderrOutput);
-                const errorChunk = {
-                    id: requestId,
-                    object: "chat.completion.chunk",
-                    created,
-                    model: modelName,
-                    choices: [
-                        {
-                            index: 0,
-                            delta: { content: `\n\n[Error: ${classified.message}]` },
-                            finish_reason: "stop",
-                        },
-                    ],
+            if (code !== 0 || timedOut) {
+                cliError = parseCliError(stdout) ?? parseCliError(stderrOutput);
+                const classified = classify();
+                const retry = retryOutcome(classified);
+                if (retry) {
+                    if (finish(retry, classified.type)) logRetry(classified, code);
+                    return;
+                }
+                if (!finish("error", classified.type)) return;
+                logFailed(classified, code);
+                sink.fail(classified);
+                return;
+            }
+
+            // Parse Gemini CLI JSON output
+            let geminiResponse;
+            try {
+                // Gemini CLI might output log lines before the JSON, find the JSON part
+                const jsonStart = stdout.indexOf("{");
+                const jsonStr = jsonStart >= 0 ? stdout.slice(jsonStart) : stdout;
+                geminiResponse = JSON.parse(jsonStr);
+            } catch {
+                const classified = cliFailure("parse_error");
+                finish("error", classified.type);
+                logFailed(classified, code, "failed to parse Gemini CLI output");
+                sink.fail(classified);
+                return;
+            }
+
+            const responseText = geminiResponse.response || "";
+            const { content, toolCalls } = tools.length
+                ? parseToolCalls(responseText, tools)
+                : { content: responseText, toolCalls: [] };
+            const stats = geminiResponse.stats || {};
+
+            // Extract token usage from Gemini CLI stats
+            let usage;
+            const modelStats = stats.models?.[geminiModel];
+            if (modelStats?.tokens) {
+                usage = {
+                    prompt_tokens: modelStats.tokens.prompt || modelStats.tokens.input || estimateTokens(prompt),
+                    completion_tokens: modelStats.tokens.candidates || estimateTokens(responseText),
+                    total_tokens: modelStats.tokens.total || estimateTokens(prompt) + estimateTokens(responseText),
+                };
+            } else {
+                usage = {
+                    prompt_tokens: estimateTokens(prompt),
+                    completion_tokens: estimateTokens(responseText),
+                    total_tokens: estimateTokens(prompt) + estimateTokens(responseText),
                 };
-                res.write(`data: ${JSON.stringify(errorChunk)}\n\n`);
             }
 
-            res.write("data: [DONE]\n\n");
-            res.end();
+            log.info(
+                `✓ Request ${requestId.slice(-8)}: completed in ${elapsed}s (non-stream, model=${geminiModel}, ${responseText.length} chars${toolCalls.length ? `, tool_calls=${toolCalls.length}` : ""}, usage=${JSON.stringify(usage)})`,
+                {
+                    ...logFields,
+                    event: "request.completed",
+                    exitCode: code,
+                    durationMs: Date.now() - startTime,
+                    chars: responseText.length,
+                    toolCalls: toolCalls.length,
+                    usage,
+                }
+            );
+
+            finish("completed");
+            const finishReason = toolCalls.length ? "tool_calls" : "stop";
+            job.onComplete?.({
+                model: geminiModel,
+                credential: credential?.id ?? null,
+                sessionId: geminiResponse.session_id || resume?.sessionId || null,
+                content,
+                toolCalls,
+                usage,
+                finishReason,
+                stopSequence: null,
+            });
+            recordUsage(geminiModel, usage);
+            if (content) sink.text(content);
+            if (toolCalls.length) sink.toolCalls(toolCalls);
+            sink.end({ finishReason, usage });
+        });
+    }
+
+    proc.on("error", (err) => {
+        if (cancelled) {
+            endCancelled(stream ? "stream" : "non-stream", 0);
+            return;
+        }
+        const classified = classify(err);
+        if (!finish("error", classified.type)) return;
+
+        logFailed(classified, null, `spawn error: ${err.message}`);
+        sink.fail(classified);
+    });
+
+    return done;
+}
+
+// ─── Warm process pool ───────────────────────────────────────────
+// Before the model sees a prompt, Gemini CLI spends a second or more
+// starting Node, loading settings, authenticating and registering tools.
+// With CONFIG.warmPoolSize set, that many processes per pool target (model,
+// approval mode and credential profile) are started ahead of time on the
+// stdin path (`--prompt -`) in the default working directory and wait
+// until a run with the same settings takes one (see runAttempt). A
+// replacement starts right away; idle processes are recycled after
+// CONFIG.warmPoolTtlMs.
+//
+// Gemini CLI stops waiting for piped input 500 ms after it is ready, so
+// each warm process is sent a newline as soon as it starts: the CLI then
+// reads until stdin is closed, and the prompt just starts with a blank line.
+
+// Pause before replacing a warm process that exited on its own
+const WARM_RESPAWN_DELAY_MS = 30000;
+
+/**
+ * Pool key of the warm processes for a run's settings.
+ */
+function warmKey(model, approvalMode, credential) {
+    return `${model}|${approvalMode}|${credential?.id ?? ""}`;
+}
+
+/**
+ * Build the pool targets from CONFIG.warmPoolModels: one per model,
+ * approval mode and enabled credential profile. Exits on an unknown model
+ * or approval mode.
+ */
+function loadWarmPool() {
+    const pool = new Map(); // warmKey → { model, approvalMode, credential, idle, respawnTimer }
+    if (CONFIG.warmPoolSize <= 0) return pool;
+    const invalid = (message) => {
+        log.error(`✗ ${message}`, { event: "config.invalid" });
+        process.exit(1);
+    };
+    const profiles = CREDENTIALS.length ? CREDENTIALS.filter((p) => p.enabled) : [null];
+    for (const spec of CONFIG.warmPoolModels.length ? CONFIG.warmPoolModels : [CONFIG.geminiModel]) {
+        const [name, approvalMode = CONFIG.approvalMode] = spec.split(":").map((part) => part.trim());
+        const model = resolveModel(name)?.id;
+        if (!model) invalid(`Unknown model "${name}" in BRIDGE_WARM_POOL_MODELS`);
+        if (!APPROVAL_MODES.includes(approvalMode)) {
+            invalid(`Unknown approval mode "${approvalMode}" in BRIDGE_WARM_POOL_MODELS (expected one of: ${APPROVAL_MODES.join(", ")})`);
+        }
+        for (const credential of profiles) {
+            pool.set(warmKey(model, approvalMode, credential), { model, approvalMode, credential, idle: [], respawnTimer: null });
+        }
+    }
+    return pool;
+}
+
+const WARM_POOL = loadWarmPool();
+
+/**
+ * Number of warm processes waiting for a run.
+ */
+function warmProcessCount() {
+    let count = 0;
+    for (const target of WARM_POOL.values()) count += target.idle.length;
+    return count;
+}
+
+/**
+ * Start warm processes for `target` until it has CONFIG.warmPoolSize.
+ */
+function fillWarmPool(target) {
+    while (target.idle.length < CONFIG.warmPoolSize) spawnWarmProcess(target);
+}
+
+/**
+ * Start one warm process for `target` and add it to the pool.
+ */
+function spawnWarmProcess(target) {
+    const { model, approvalMode, credential } = target;
+    const args = [...cliArgs(model, { streamJson: true, approvalMode }), "--prompt", "-"];
+    const proc = spawnCli(args, { cwd: CONFIG.workingDir, credential, stdin: true });
+    proc.stdin.on("error", () => { }); // EPIPE if it exits before the prompt is written
+    proc.stdin.write("\n"); // keeps the CLI reading stdin (see above)
+
+    const entry = { proc, cwd: realPath(CONFIG.workingDir), startedAt: Date.now(), ttlTimer: null, onExit: null, onError: null, discard: null };
+    const logFields = { model, approvalMode, credential: credential?.id, pid: proc.pid };
+    // Out of the pool without being taken; replaced after a pause
+    const remove = () => {
+        const index = target.idle.indexOf(entry);
+        if (index === -1) return false;
+        target.idle.splice(index, 1);
+        clearTimeout(entry.ttlTimer);
+        return true;
+    };
+    const respawnLater = () => {
+        if (target.respawnTimer) return;
+        target.respawnTimer = setTimeout(() => {
+            target.respawnTimer = null;
+            fillWarmPool(target);
+        }, WARM_RESPAWN_DELAY_MS);
+    };
+    entry.onExit = (code, signal) => {
+        if (!remove()) return;
+        respawnLater();
+        let stderr = "";
+        proc.stderr.on("data", (chunk) => { stderr += chunk.toString(); });
+        proc.stdout.resume();
+        proc.once("close", () => {
+            log.warn(`✗ Warm process for ${model} exited while idle (${signal || `exit code ${code}`})`, {
+                ...logFields,
+                event: "warm.exited",
+                exitCode: code,
+                signal,
+                detail: stderrExcerpt(stderr),
+            });
+        });
+    };
+    entry.onError = (err) => {
+        if (!remove()) return;
+        respawnLater();
+        log.warn(`✗ Warm process for ${model} failed to start: ${err.message}`, { ...logFields, event: "warm.exited" });
+    };
+    // Stop a process that is out of the pool without being used; `why` completes "recycled …"
+    entry.discard = (why) => {
+        clearTimeout(entry.ttlTimer);
+        proc.off("exit", entry.onExit);
+        proc.off("error", entry.onError);
+        proc.on("error", () => { });
+        proc.stdout.resume();
+        proc.stderr.resume();
+        terminateProcess(proc);
+        log.debug(`↺ Warm process for ${model} recycled ${why}`, { ...logFields, event: "warm.recycled" });
+    };
+    entry.ttlTimer = setTimeout(() => {
+        if (!remove()) return;
+        entry.discard(`after ${CONFIG.warmPoolTtlMs / 1000}s idle`);
+        fillWarmPool(target);
+    }, CONFIG.warmPoolTtlMs);
+    proc.once("exit", entry.onExit);
+    proc.on("error", entry.onError);
+    target.idle.push(entry);
+    log.debug(`↻ Warm process for ${model} started (pid ${proc.pid})`, { ...logFields, event: "warm.started" });
+}
+
+/**
+ * Take a warm process for a run with these settings, or null if the pool
+ * has none ready. The process waits for its prompt on stdin (closing
+ * stdin starts the run) and writes stream-json output. A replacement
+ * starts right away. Working directories are compared as real paths, so
+ * a trailing slash or a symlink to the default one still matches.
+ */
+function takeWarmProcess(model, approvalMode, credential, workingDir) {
+    const target = WARM_POOL.get(warmKey(model, approvalMode, credential));
+    if (!target) return null;
+    const cwd = realPath(workingDir);
+    if (cwd !== realPath(CONFIG.workingDir)) return null;
+    // Oldest first: the one most likely done starting up
+    let taken = null;
+    let discarded = false;
+    while (target.idle.length && !taken) {
+        const entry = target.idle.shift();
+        const { proc } = entry;
+        // Gone already: its exit handler finds it out of the pool and stays quiet
+        if (proc.exitCode !== null || proc.signalCode !== null) continue;
+        // The default working directory has moved (a symlink retargeted) since it started
+        if (entry.cwd !== cwd) {
+            entry.discard("as its working directory changed");
+            discarded = true;
+            continue;
+        }
+        clearTimeout(entry.ttlTimer);
+        proc.off("exit", entry.onExit);
+        proc.off("error", entry.onError);
+        taken = proc;
+    }
+    if (taken || discarded) fillWarmPool(target);
+    return taken;
+}
+
+/**
+ * Start the configured warm processes.
+ */
+function startWarmPool() {
+    if (!WARM_POOL.size) return;
+    log.info(
+        `↻ Warm pool: ${CONFIG.warmPoolSize} process(es) each for ${[...WARM_POOL.values()].map((t) => `${t.model}:${t.approvalMode}${t.credential ? `@${t.credential.id}` : ""}`).join(", ")}`,
+        { event: "warm.start", size: CONFIG.warmPoolSize, targets: WARM_POOL.size, ttlMs: CONFIG.warmPoolTtlMs }
+    );
+    for (const target of WARM_POOL.values()) fillWarmPool(target);
+}
+
+/**
+ * Kill the idle warm processes. Runs at exit: once the bridge's end of
+ * stdin closes, a warm process would otherwise run its (empty) prompt.
+ */
+function stopWarmPool() {
+    for (const target of WARM_POOL.values()) {
+        clearTimeout(target.respawnTimer);
+        for (const entry of target.idle.splice(0)) {
+            clearTimeout(entry.ttlTimer);
+            entry.proc.kill("SIGKILL");
+        }
+    }
+}
+
+process.on("exit", stopWarmPool);
+
+// ─── HTTP Server ─────────────────────────────────────────────────
+
+/**
+ * Check the shape of chat `messages`: an array of message objects whose
+ * content is a string or an array of content part objects. Throws a
+ * RequestError (400) naming the first bad field.
+ */
+function checkChatMessages(messages) {
+    if (!Array.isArray(messages)) throw new RequestError(400, "messages must be an array of message objects");
+    messages.forEach((msg, i) => {
+        if (!isObject(msg)) throw new RequestError(400, `messages[${i}] must be an object`);
+        if (msg.content != null && typeof msg.content !== "string") {
+            if (!Array.isArray(msg.content)) {
+                throw new RequestError(400, `messages[${i}].content must be a string or an array of content parts`);
+            }
+            msg.content.forEach((part, j) => {
+                if (!isObject(part)) throw new RequestError(400, `messages[${i}].content[${j}] must be an object`);
+            });
+        }
+        if (msg.tool_calls != null && !(Array.isArray(msg.tool_calls) && msg.tool_calls.every(isObject))) {
+            throw new RequestError(400, `messages[${i}].tool_calls must be an array of tool call objects`);
+        }
+    });
+}
+
+/**
+ * Shared pipeline behind the completion endpoints. `chat` is the request in
+ * OpenAI chat format (converted first by endpoints that speak another
+ * format); it is checked against the API key's `policy`, turned into a
+ * prompt and run on Gemini CLI. `api.createSink(res, stream)` renders the
+ * response and `api.sendError` (same signature as sendError) the errors.
+ * `api.onComplete(reply, responseId)`, if given, receives the assistant
+ * reply (chat format) after a successful run.
+ */
+async function handleCompletion(req, res, { policy, requestId }, chat, api) {
+    if (!isObject(chat)) {
+        api.sendError(res, 400, "The request body must be a JSON object", "invalid_request");
+        return;
+    }
+    const stream = chat.stream === true;
+
+    if (chat.messages == null || chat.messages.length === 0) {
+        api.sendError(res, 400, "No messages provided", "invalid_request");
+        return;
+    }
+    try {
+        checkChatMessages(chat.messages);
+    } catch (err) {
+        api.sendError(res, err.status, err.message, err.type);
+        return;
+    }
+
+    const model = resolveModel(chat.model);
+    if (!model) {
+        api.sendError(res, 404, `The model \`${chat.model}\` does not exist or is disabled`, "model_not_found");
+        return;
+    }
+    const geminiModel = model.id;
+
+    // Apply the API key's policy before doing any work
+    if (!isModelAllowed(policy, geminiModel)) {
+        api.sendError(res, 403, `Model ${geminiModel} is not allowed for this API key`, "permission_denied");
+        return;
+    }
+    let runSettings, generation, responseFormat, activity;
+    try {
+        runSettings = resolveRunSettings(chat, policy);
+        generation = resolveGenerationParams(chat, model);
+        responseFormat = resolveResponseFormat(chat);
+        activity = resolveActivity(chat, req);
+        checkKeyRateLimit(policy);
+    } catch (err) {
+        log.warn(`✗ Request from ${policy.label} rejected: ${err.message}`, { event: "request.rejected", requestId, key: policy.label, model: geminiModel });
+        api.sendError(res, err.status, err.message, err.type, err.headers);
+        return;
+    }
+    if (generation.ignored.length) res.setHeader("X-Ignored-Params", generation.ignored.join(", "));
+
+    let tools, messages, attachmentDir;
+    try {
+        tools = chat.tool_choice === "none" ? [] : normalizeTools(chat.tools);
+        if (tools.length && !model.capabilities.tools) {
+            throw new RequestError(400, `Model ${geminiModel} does not support tools`);
+        }
+        const hasImages = chat.messages.some((m) => Array.isArray(m.content) && m.content.some((part) => part?.type === "image_url"));
+        if (hasImages && !model.capabilities.vision) {
+            throw new RequestError(400, `Model ${geminiModel} does not accept images`);
+        }
+        ({ messages, attachmentDir } = await prepareAttachments(chat.messages));
+    } catch (err) {
+        if (err instanceof RequestError) {
+            api.sendError(res, err.status, err.message, err.type, err.headers);
+        } else {
+            // The cause (file system errors, paths) stays in the log
+            log.error(`✗ Request ${requestId.slice(-8)}: failed to prepare the request: ${err.message}`, {
+                event: "request.failed",
+                requestId,
+                model: geminiModel,
+                errorType: "server_error",
+                detail: err.stack || err.message,
+            });
+            api.sendError(res, 500, "Failed to prepare the request");
+        }
+        return;
+    }
+
+    // Convert messages to prompt
+    const promptOptions = { tools, toolChoice: chat.tool_choice, parallelToolCalls: chat.parallel_tool_calls !== false, responseFormat };
+    let prompt = messagesToPrompt(messages, promptOptions);
+    if (!prompt.trim()) {
+        if (attachmentDir) cleanupTempDir(attachmentDir);
+        api.sendError(res, 400, "Empty prompt after processing messages", "invalid_request");
+        return;
+    }
 
-            console.log(
-                `[${new Date().toISOString()}] ✓ Request ${requestId.slice(-8)}: completed in ${elapsed}s (stream, ${totalContent.length} chars)`
-            );
+    // Response cache: answer identical requests without running Gemini CLI
+    const cacheKey = cacheKeyFor(chat, prompt, geminiModel, runSettings, generation, attachmentDir);
+    if (CONFIG.cacheEnabled) res.setHeader("X-Cache", cacheKey ? "MISS" : "BYPASS");
+    const cached = cacheKey && cacheGet(cacheKey);
+    if (cacheKey) metrics.cache.inc({ result: cached ? "hit" : "miss" });
+    if (cached) {
+        res.setHeader("X-Cache", "HIT");
+        log.info(`✓ Request ${requestId.slice(-8)}: served from cache (model=${cached.model})`, {
+            event: "cache.hit",
+            requestId,
+            model: cached.model,
+            stream,
         });
-    } else {
-        // ── Non-streaming mode: collect full JSON response ──
-        let stdout = "";
+        const sink = api.createSink(res, stream);
+        replayCached(sink, cached);
+        api.onComplete?.({ role: "assistant", content: cached.content, tool_calls: cached.toolCalls }, sink.id);
+        return;
+    }
 
-        proc.stdout.on("data", (data) => {
-            lastActivityTime = Date.now();
-            stdout += data.toString();
-        });
+    // Cached answers don't count against quotas, so they are checked only now
+    try {
+        checkQuota(policy);
+    } catch (err) {
+        if (attachmentDir) cleanupTempDir(attachmentDir);
+        log.warn(`✗ Request from ${policy.label} rejected: ${err.message}`, { event: "request.rejected", requestId, key: policy.label, model: geminiModel });
+        api.sendError(res, err.status, err.message, err.type, err.headers);
+        return;
+    }
 
-        proc.on("close", (code) => {
-            clearTimeout(timer);
-            clearInterval(inactivityTimer);
-            if (tempFile) cleanupTempFile(tempFile);
+    // Keep the prompt within the model's context window
+    let context;
+    try {
+        context = await fitContext(messages, promptOptions, model, generation.maxTokens, { requestId, res, workingDir: runSettings.workingDir, policy });
+    } catch (err) {
+        if (attachmentDir) cleanupTempDir(attachmentDir);
+        log.warn(`✗ Request ${requestId.slice(-8)} rejected: ${err.message}`, { event: "request.rejected", requestId, key: policy.label, model: geminiModel });
+        api.sendError(res, err.status, err.message, err.type, err.headers);
+        return;
+    }
+    prompt = context.prompt;
+    res.setHeader("X-Context-Tokens", String(context.tokens));
+    if (context.trimmed) res.setHeader("X-Context-Trimmed", context.trimmed);
 
-            const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    // Conversation session reuse: resume and send only the new turns.
+    // A trimmed history would overflow the resumed session too, so it starts
+    // afresh; several choices can't all continue one session, so they don't use it.
+    const conversationId = req.headers["x-conversation-id"] || null;
+    let session = null;
+    let hashes = null;
+    if (sessionStore && generation.n === 1) {
+        // Tool definitions are part of the session's first prompt, so they seed the hash
+        hashes = prefixHashes(chat.messages, JSON.stringify([chat.tools ?? null, chat.tool_choice ?? null, chat.parallel_tool_calls ?? null]));
+        const found = context.trimmed
+            ? { session: null, reason: "history trimmed to fit the context window" }
+            : findSession(chat.messages, hashes, conversationId, runSettings.workingDir);
+        session = found.session;
+        if (session) {
+            // A resumed CLI session moves on, so its old entry can't be resumed twice
+            sessionStore.delete(session.key);
+        } else if (found.reason && conversationId) {
+            log.info(`↺ Conversation ${conversationId}: ${found.reason}, sending full history`, { event: "session.miss", requestId, conversationId, reason: found.reason });
+        }
+        res.setHeader("X-Session-Mode", session ? "resumed" : "new");
+        if (conversationId) res.setHeader("X-Conversation-Id", conversationId);
+    }
+    const resumePrompt = session &&
+        messagesToPrompt(messages.slice(session.messageCount), { ...promptOptions, continuation: true });
 
-            if (code !== 0) {
-                const classified = classifyError(null, stderrOutput);
-                console.error(
-                    `[${new Date().toISOString()}] ✗ Request ${requestId.slice(-8)}: exit code ${code} → ${classified.type}`
-                );
-                sendError(res, classified.status, classified.message, classified.type);
-                return;
-            }
+    let release;
+    try {
+        release = await acquireSlot(geminiModel, res);
+    } catch (err) {
+        if (attachmentDir) cleanupTempDir(attachmentDir);
+        if (!err) {
+            log.info(`⊘ Request for ${geminiModel}: client disconnected while queued`, { event: "request.cancelled", requestId, model: geminiModel });
+            return;
+        }
+        log.warn(`✗ Request for ${geminiModel} rejected: ${err.message}`, { event: "request.rejected", requestId, model: geminiModel });
+        api.sendError(res, err.status, err.message, err.type, err.headers);
+        return;
+    }
 
-            // Parse Gemini CLI JSON output
-            let geminiResponse;
-            try {
-                // Gemini CLI might output log lines before the JSON, find the JSON part
-                const jsonStart = stdout.indexOf("{");
-                const jsonStr = jsonStart >= 0 ? stdout.slice(jsonStart) : stdout;
-                geminiResponse = JSON.parse(jsonStr);
-            } catch {
-                console.error(`[${new Date().toISOString()}] ✗ Request ${requestId.slice(-8)}: failed to parse Gemini CLI output`);
-                sendError(res, 500, "Failed to parse Gemini CLI response", "parse_error");
-                return;
+    const sink = api.createSink(res, stream, generation.n);
+    const startTime = Date.now();
+    const completions = [];
+    const options = {
+        requestId,
+        tools,
+        attachmentDir,
+        ...runSettings,
+        isModelAllowed: (model) => isModelAllowed(policy, model),
+        resume: session && { sessionId: session.sessionId, fullPrompt: prompt, credential: session.credential ?? null },
+        maxTokens: generation.maxTokens,
+        stop: generation.stop,
+        sampling: generation.sampling,
+        activity,
+        onComplete: (result) => {
+            completions.push(result);
+            const { sessionId, content, toolCalls } = result;
+            const reply = { role: "assistant", content, tool_calls: toolCalls };
+            if (hashes && sessionId) {
+                saveSession(chat.messages, hashes, reply, sessionId, conversationId, runSettings.workingDir, result.credential);
             }
-
-            const responseText = geminiResponse.response || "";
-            const stats = geminiResponse.stats || {};
-
-            // Extract token usage from Gemini CLI stats
-            let usage;
-            const modelStats = stats.models?.[geminiModel];
-            if (modelStats?.tokens) {
-                usage = {
-                    prompt_tokens: modelStats.tokens.prompt || modelStats.tokens.input || estimateTokens(prompt),
-                    completion_tokens: modelStats.tokens.candidates || estimateTokens(responseText),
-                    total_tokens: modelStats.tokens.total || estimateTokens(prompt) + estimateTokens(responseText),
-                };
-            } else {
-                usage = {
-                    prompt_tokens: estimateTokens(prompt),
-                    completion_tokens: estimateTokens(responseText),
-                    total_tokens: estimateTokens(prompt) + estimateTokens(responseText),
-                };
+            if (cacheKey) {
+                cacheSet(cacheKey, {
+                    model: result.model,
+                    content,
+                    toolCalls,
+                    usage: result.usage,
+                    finishReason: result.finishReason,
+                    stopSequence: result.stopSequence,
+                });
             }
-
-            const response = {
-                id: requestId,
-                object: "chat.completion",
-                created,
-                model: modelName,
-                choices: [
-                    {
-                        index: 0,
-                        message: {
-                            role: "assistant",
-                            content: responseText,
-                        },
-                        finish_reason: "stop",
-                    },
-                ],
-                usage,
-            };
-
-            console.log(
-                `[${new Date().toISOString()}] ✓ Request ${requestId.slice(-8)}: completed in ${elapsed}s (non-stream, ${responseText.length} chars, usage=${JSON.stringify(usage)})`
-            );
-
-            res.writeHead(200, {
-                "Content-Type": "application/json",
-                "Access-Control-Allow-Origin": "*",
-            });
-            res.end(JSON.stringify(response));
-        });
+            api.onComplete?.(reply, sink.id);
+        },
+    };
+    // Each choice runs in its own Gemini CLI process; the first uses the slot acquired above
+    const runChoice = async (choiceSink, index) => {
+        let releaseChoice = release;
+        if (index > 0) {
+            try {
+                releaseChoice = await acquireSlot(geminiModel, res);
+            } catch (err) {
+                if (!err) return "cancelled";
+                choiceSink.fail({ status: err.status, message: err.message, type: err.type, headers: err.headers });
+                return "error";
+            }
+        }
+        try {
+            return responseFormat
+                ? await runWithResponseFormat(resumePrompt || prompt, geminiModel, stream, res, { ...options, sink: choiceSink, responseFormat, messages: context.messages, promptOptions })
+                : await runGeminiCLI(resumePrompt || prompt, geminiModel, stream, res, { ...options, sink: choiceSink });
+        } finally {
+            releaseChoice();
+        }
+    };
+    // SSE comments keep proxies from closing a stream that stays quiet
+    // while Gemini CLI thinks or runs tools
+    const heartbeat = stream && CONFIG.heartbeatMs > 0 ? setInterval(() => sink.heartbeat(), CONFIG.heartbeatMs) : null;
+    let outcomes;
+    try {
+        outcomes = await Promise.all((sink.choices || [sink]).map(runChoice));
+    } finally {
+        clearInterval(heartbeat);
+        if (attachmentDir) cleanupTempDir(attachmentDir);
     }
 
-    proc.on("error", (err) => {
-        clearTimeout(timer);
-        clearInterval(inactivityTimer);
-        if (tempFile) cleanupTempFile(tempFile);
-
-        const classified = classifyError(err, stderrOutput);
-        console.error(
-            `[${new Date().toISOString()}] ✗ Request ${requestId.slice(-8)}: spawn error: ${err.message} → ${classified.type}`
-        );
-        sendError(res, classified.status, classified.message, classified.type);
+    const tokens = (key) => completions.reduce((sum, c) => sum + (c.usage[key] || 0), context.summaryUsage?.[key] || 0);
+    appendUsageRecord({
+        requestId,
+        client: policy.label,
+        endpoint: req.url.split("?")[0],
+        model: completions[0]?.model || geminiModel,
+        stream,
+        promptTokens: tokens("prompt_tokens"),
+        completionTokens: tokens("completion_tokens"),
+        totalTokens: tokens("total_tokens"),
+        latencyMs: Date.now() - startTime,
+        outcome: outcomes.includes("completed") ? "completed" : outcomes[0] || "error",
     });
 }
 
-// ─── HTTP Server ─────────────────────────────────────────────────
+/**
+ * Route one HTTP request.
+ */
+async function handleRequest(req, res) {
+    const requestId = requestIdFor(req);
+    res.setHeader("X-Request-Id", requestId);
+
+    const allowOrigin = corsOriginFor(req.headers.origin);
+    if (allowOrigin) {
+        res.setHeader("Access-Control-Allow-Origin", allowOrigin);
+        res.setHeader("Access-Control-Expose-Headers", "X-Request-Id, X-Session-Mode, X-Conversation-Id, X-Context-Tokens, X-Context-Trimmed, X-Ignored-Params, Retry-After");
+        res.setHeader("Vary", "Origin");
+    }
 
-const server = createServer(async (req, res) => {
     // CORS preflight
     if (req.method === "OPTIONS") {
-        res.writeHead(204, {
-            "Access-Control-Allow-Origin": "*",
+        res.writeHead(204, allowOrigin ? {
             "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-            "Access-Control-Allow-Headers": "Content-Type, Authorization",
-        });
+            "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Api-Key, X-Request-Id, X-Conversation-Id, X-Bridge-Activity, Anthropic-Version, Anthropic-Beta",
+        } : {});
         res.end();
         return;
     }
 
     const url = new URL(req.url, `http://${CONFIG.host}:${CONFIG.port}`);
+    const sendRouteError = url.pathname === "/v1/messages" ? sendAnthropicError : sendError;
+
+    // Draining for shutdown: nothing new starts
+    if (shuttingDown) {
+        const err = shuttingDownError();
+        res.setHeader("Connection", "close");
+        sendRouteError(res, err.status, err.message, err.type, err.headers);
+        return;
+    }
+
+    // Web pages: browsers send "simple" cross-origin POSTs (text/plain, form
+    // data) without a preflight, so CORS headers alone don't keep a page
+    // from driving Gemini CLI. Only allowed origins get through, and bodies
+    // must be JSON, which no simple request can send.
+    if (req.headers.origin && !allowOrigin) {
+        sendRouteError(res, 403, `Origin ${req.headers.origin} is not allowed`, "permission_denied");
+        return;
+    }
+    const hasBody = Number(req.headers["content-length"]) > 0 || Boolean(req.headers["transfer-encoding"]);
+    if (req.method === "POST" && hasBody && !/^application\/json\s*(;|$)/i.test(req.headers["content-type"] || "")) {
+        sendRouteError(res, 415, "Request bodies must be JSON (Content-Type: application/json)", "invalid_request");
+        return;
+    }
+
+    const policy = authenticate(req);
+    const ctx = { policy, requestId };
 
     // ── Health check ──
+    // Without a valid key this is a minimal liveness probe only.
     if (
         (url.pathname === "/health" || url.pathname === "/") &&
         req.method === "GET"
     ) {
         res.writeHead(200, {
             "Content-Type": "application/json",
-            "Access-Control-Allow-Origin": "*",
         });
+        if (!policy) {
+            res.end(JSON.stringify({ status: "ok" }));
+            return;
+        }
         res.end(
             JSON.stringify({
                 status: "ok",
                 service: "geminicli-bridge",
                 version: "1.0.0",
                 model: CONFIG.geminiModel,
-                approvalMode: CONFIG.approvalMode,
+                approvalMode: capApprovalMode(CONFIG.approvalMode, policy.maxApprovalMode),
+                allowedApprovalModes: CONFIG.allowedApprovalModes,
+                workspaces: [...WORKSPACES.keys()].filter((name) => isWorkingDirAllowed(policy, WORKSPACES.get(name).path)),
+                auth: API_KEYS.size ? "enabled" : "disabled",
+                concurrency: {
+                    active: limiter.active,
+                    activeByModel: Object.fromEntries(limiter.activeByModel),
+                    queued: limiter.queue.length,
+                    rejected: limiter.rejected,
+                    maxConcurrent: CONFIG.maxConcurrent,
+                    maxConcurrentPerModel: CONFIG.maxConcurrentPerModel,
+                    queueMaxDepth: CONFIG.queueMaxDepth,
+                },
+            })
+        );
+        return;
+    }
+
+    // Every other route requires a valid API key
+    if (!policy) {
+        sendRouteError(res, 401, "Missing or invalid API key", "invalid_api_key", { "WWW-Authenticate": "Bearer" });
+        return;
+    }
+
+    // ── GET /metrics ──
+    if (url.pathname === "/metrics" && req.method === "GET") {
+        res.writeHead(200, {
+            "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+        });
+        res.end(renderMetrics());
+        return;
+    }
+
+    // ── GET /v1/usage ──
+    if (url.pathname === "/v1/usage" && req.method === "GET") {
+        let report;
+        try {
+            report = usageReport(policy, url.searchParams);
+        } catch (err) {
+            if (err instanceof RequestError) sendError(res, err.status, err.message, err.type);
+            else sendError(res, 500, `Failed to build the usage report: ${err.message}`);
+            return;
+        }
+        res.writeHead(200, {
+            "Content-Type": "application/json",
+        });
+        res.end(JSON.stringify(report));
+        return;
+    }
+
+    // ── GET /v1/admin/credentials ──
+    if (url.pathname === "/v1/admin/credentials" && req.method === "GET") {
+        if (!policy.admin) {
+            sendError(res, 403, "Credential status requires an admin API key", "permission_denied");
+            return;
+        }
+        res.writeHead(200, {
+            "Content-Type": "application/json",
+        });
+        res.end(
+            JSON.stringify({
+                strategy: CONFIG.credentialStrategy,
+                cooldownMs: CONFIG.credentialCooldownMs,
+                credentials: CREDENTIALS.map(credentialStatus),
             })
         );
         return;
     }
 
+    // ── /v1/admin/requests[/{id}[/events|/cancel]] ──
+    const adminRoute = url.pathname.match(/^\/v1\/admin\/requests(?:\/([^/]+)(?:\/(events|cancel))?)?$/);
+    const adminAction = adminRoute && `${req.method} ${adminRoute[1] ? adminRoute[2] || "inspect" : "list"}`;
+    if (["GET list", "GET inspect", "GET events", "POST cancel"].includes(adminAction)) {
+        if (!policy.admin) {
+            sendError(res, 403, "Request administration requires an admin API key", "permission_denied");
+            return;
+        }
+        if (adminAction === "GET list") {
+            res.writeHead(200, {
+                "Content-Type": "application/json",
+            });
+            res.end(JSON.stringify({ object: "list", data: [...activeRuns].map(runStatus) }));
+            return;
+        }
+        let targetId = adminRoute[1];
+        try {
+            targetId = decodeURIComponent(targetId);
+        } catch {
+            // Keep the raw path segment; it simply won't match a request
+        }
+        const status = requestStatus(targetId);
+        if (!status || (adminAction === "POST cancel" && !status.active)) {
+            sendError(res, 404, `No request in flight with id '${targetId}'`, "not_found");
+            return;
+        }
+        if (adminAction === "GET events") {
+            followRequestLog(targetId, res);
+            return;
+        }
+        if (adminAction === "POST cancel") {
+            const cancelled = cancelRequest(targetId, policy.label);
+            res.writeHead(200, {
+                "Content-Type": "application/json",
+            });
+            res.end(JSON.stringify({ requestId: targetId, cancelled: true, runs: cancelled }));
+            return;
+        }
+        res.writeHead(200, {
+            "Content-Type": "application/json",
+        });
+        res.end(JSON.stringify(status));
+        return;
+    }
+
     // ── GET /v1/models ──
     if (url.pathname === "/v1/models" && req.method === "GET") {
         res.writeHead(200, {
             "Content-Type": "application/json",
-            "Access-Control-Allow-Origin": "*",
         });
         const now = Math.floor(Date.now() / 1000);
         res.end(
             JSON.stringify({
                 object: "list",
-                data: SUPPORTED_MODELS.map((m) => ({
-                    id: m.id,
-                    object: "model",
-                    created: now,
-                    owned_by: "google",
-                })),
+                data: [...MODELS.values()]
+                    .filter((m) => m.enabled && isModelAllowed(policy, m.id))
+                    .map((m) => modelObject(m, now)),
             })
         );
         return;
     }
 
+    // ── GET /v1/models/{id} ──
+    if (url.pathname.startsWith("/v1/models/") && req.method === "GET") {
+        // The id may itself contain "/" (e.g. "gemini/gemini-3-pro-preview")
+        let name = url.pathname.slice("/v1/models/".length);
+        try {
+            name = decodeURIComponent(name);
+        } catch {
+            // Keep the raw path segment; it simply won't match a model
+        }
+        const model = name && resolveModel(name);
+        if (!model || !isModelAllowed(policy, model.id)) {
+            sendError(res, 404, `The model \`${name}\` does not exist or is disabled`, "model_not_found");
+            return;
+        }
+        res.writeHead(200, {
+            "Content-Type": "application/json",
+        });
+        res.end(JSON.stringify(modelObject(model, Math.floor(Date.now() / 1000))));
+        return;
+    }
+
     // ── POST /v1/chat/completions ──
     if (url.pathname === "/v1/chat/completions" && req.method === "POST") {
         let body;
@@ -638,33 +5460,131 @@ const server = createServer(async (req, res) => {
             return;
         }
 
-        const messages = data.messages || [];
-        const stream = data.stream === true;
+        await handleCompletion(req, res, ctx, data, { createSink: createChatCompletionSink, sendError });
+        return;
+    }
+
+    // ── POST /v1/responses (OpenAI Responses API) ──
+    if (url.pathname === "/v1/responses" && req.method === "POST") {
+        let body;
+        try {
+            body = await readBody(req);
+        } catch (err) {
+            sendError(res, 400, "Failed to read request body");
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch {
+            sendError(res, 400, "Invalid JSON in request body", "invalid_request");
+            return;
+        }
+
+        let history, chat;
+        try {
+            if (!isObject(data)) throw new RequestError(400, "The request body must be a JSON object");
+            let previous = [];
+            if (data.previous_response_id) {
+                const entry = responseStore.get(data.previous_response_id);
+                // Stored responses are only visible to the key that created them
+                if (!entry || entry.owner !== policy.label) {
+                    throw new RequestError(400, `Previous response with id '${data.previous_response_id}' not found`);
+                }
+                previous = entry.messages;
+            }
+            history = [...previous, ...responsesInputToMessages(data.input)];
+            chat = responsesToChat(data, history);
+        } catch (err) {
+            // Anything else is a body of an unexpected shape, still the client's error
+            if (!(err instanceof RequestError)) err = new RequestError(400, `Invalid request body: ${err.message}`);
+            sendError(res, err.status, err.message, err.type);
+            return;
+        }
+
+        await handleCompletion(req, res, ctx, chat, {
+            createSink: (res, stream) => createResponsesSink(res, stream, data),
+            sendError,
+            onComplete: (reply, responseId) => {
+                if (data.store === false) return;
+                const message = reply.tool_calls.length ? reply : { role: "assistant", content: reply.content };
+                if (!responseStore.set(responseId, { owner: policy.label, messages: withoutAttachmentData([...history, message]) })) {
+                    log.warn(`✗ Response ${responseId} not stored: its conversation is larger than BRIDGE_RESPONSE_MAX_BYTES`, {
+                        event: "response.not_stored",
+                        requestId,
+                        responseId,
+                    });
+                }
+            },
+        });
+        return;
+    }
+
+    // ── POST /v1/messages (Anthropic Messages API) ──
+    if (url.pathname === "/v1/messages" && req.method === "POST") {
+        let body;
+        try {
+            body = await readBody(req);
+        } catch (err) {
+            sendAnthropicError(res, 400, "Failed to read request body");
+            return;
+        }
 
-        if (!messages.length) {
-            sendError(res, 400, "No messages provided", "invalid_request");
+        let data;
+        try {
+            data = JSON.parse(body);
+        } catch {
+            sendAnthropicError(res, 400, "Invalid JSON in request body");
             return;
         }
 
-        // Convert messages to prompt
-        const prompt = messagesToPrompt(messages);
-        if (!prompt.trim()) {
-            sendError(res, 400, "Empty prompt after processing messages", "invalid_request");
+        let chat;
+        try {
+            chat = anthropicToChat(data);
+        } catch (err) {
+            // Anything else is a body of an unexpected shape, still the client's error
+            if (!(err instanceof RequestError)) err = new RequestError(400, `Invalid request body: ${err.message}`);
+            sendAnthropicError(res, err.status, err.message);
             return;
         }
 
-        runGeminiCLI(prompt, data.model, stream, res);
+        await handleCompletion(req, res, ctx, chat, { createSink: createAnthropicSink, sendError: sendAnthropicError });
         return;
     }
 
     // ── 404 ──
     sendError(res, 404, `Unknown endpoint: ${req.method} ${url.pathname}`, "not_found");
+}
+
+const server = createServer((req, res) => {
+    // A route that throws fails its own request, not the whole bridge
+    handleRequest(req, res).catch((err) => {
+        log.error(`✗ Unhandled error in ${req.method} ${req.url.split("?")[0]}: ${err.stack || err.message}`, {
+            event: "request.crashed",
+            requestId: res.getHeader("X-Request-Id"),
+        });
+        if (res.headersSent) res.end();
+        else sendError(res, 500, "Internal server error");
+    });
 });
 
+
 // ─── Start ───────────────────────────────────────────────────────
 
 server.listen(CONFIG.port, CONFIG.host, () => {
-    console.log(`
+    if (CONFIG.logFormat === "json") {
+        log.info(`geminicli-bridge listening on http://${CONFIG.host}:${CONFIG.port}`, {
+            event: "server.start",
+            model: CONFIG.geminiModel,
+            approvalMode: CONFIG.approvalMode,
+            workingDir: CONFIG.workingDir,
+            auth: API_KEYS.size ? "enabled" : "disabled",
+            credentials: CREDENTIALS.length,
+            warmPool: CONFIG.warmPoolSize * WARM_POOL.size,
+        });
+    } else {
+        console.log(`
 ┌──────────────────────────────────────────────────────────┐
 │              geminicli-bridge v1.0.0                      │
 │    OpenAI-compatible API  →  Gemini CLI                  │
@@ -675,22 +5595,35 @@ server.listen(CONFIG.port, CONFIG.host, () => {
 │  WorkingDir: ${CONFIG.workingDir.slice(-43).padEnd(43)}│
 │  Timeout:    ${(CONFIG.timeoutMs / 1000 + "s").padEnd(43)}│
 │  MaxArgLen:  ${(CONFIG.maxArgLen + " chars").padEnd(43)}│
+│  Auth:       ${(API_KEYS.size ? `${API_KEYS.size} API key(s)` : "disabled").padEnd(43)}│
+│  Accounts:   ${(CREDENTIALS.length ? `${CREDENTIALS.length} profile(s), ${CONFIG.credentialStrategy}` : "bridge environment").padEnd(43)}│
+│  Warm pool:  ${(WARM_POOL.size ? `${CONFIG.warmPoolSize * WARM_POOL.size} process(es), ${CONFIG.warmPoolTtlMs / 1000}s TTL` : "off").padEnd(43)}│
 ├──────────────────────────────────────────────────────────┤
 │  OpenClaw config:                                        │
 │    baseUrl: http://${CONFIG.host}:${CONFIG.port}/v1${" ".repeat(20)}│
-│    apiKey:  geminicli-bridge-local                       │
+│    apiKey:  ${(API_KEYS.size ? "<one of your bridge API keys>" : "geminicli-bridge-local").padEnd(45)}│
 │    api:     openai-completions                           │
 └──────────────────────────────────────────────────────────┘
   `);
+    }
+    if (!API_KEYS.size) {
+        log.warn(
+            `⚠ No API keys configured — anyone who can reach ${CONFIG.host}:${CONFIG.port} can run Gemini CLI ` +
+            `(approval=${CONFIG.approvalMode}). Set BRIDGE_API_KEYS or "keys" in the config file.`,
+            { event: "config.no_auth" }
+        );
+    }
+    startWarmPool();
 });
 
 server.on("error", (err) => {
     if (err.code === "EADDRINUSE") {
-        console.error(
-            `✗ Port ${CONFIG.port} is already in use. Set BRIDGE_PORT to use a different port.`
+        log.error(
+            `✗ Port ${CONFIG.port} is already in use. Set BRIDGE_PORT to use a different port.`,
+            { event: "server.error", code: err.code }
         );
     } else {
-        console.error(`✗ Server error: ${err.message}`);
+        log.error(`✗ Server error: ${err.message}`, { event: "server.error", code: err.code });
     }
     process.exit(1);
 });
@@ -703,7 +5636,7 @@ const SELF_HEALTH_INTERVAL_MS = 60000; // check every 60s
 let selfHealthFailCount = 0;
 const MAX_SELF_HEALTH_FAILURES = 3;
 
-setInterval(async () => {
+const selfHealthTimer = setInterval(async () => {
     try {
         const controller = new AbortController();
         const timeout = setTimeout(() => controller.abort(), 10000);
@@ -715,23 +5648,96 @@ setInterval(async () => {
             selfHealthFailCount = 0;
         } else {
             selfHealthFailCount++;
-            console.error(`[self-health] Failed: HTTP ${resp.status} (${selfHealthFailCount}/${MAX_SELF_HEALTH_FAILURES})`);
+            log.error(`[self-health] Failed: HTTP ${resp.status} (${selfHealthFailCount}/${MAX_SELF_HEALTH_FAILURES})`, { event: "self_health.failed" });
         }
     } catch (err) {
         selfHealthFailCount++;
-        console.error(`[self-health] Failed: ${err.message} (${selfHealthFailCount}/${MAX_SELF_HEALTH_FAILURES})`);
+        log.error(`[self-health] Failed: ${err.message} (${selfHealthFailCount}/${MAX_SELF_HEALTH_FAILURES})`, { event: "self_health.failed" });
     }
     if (selfHealthFailCount >= MAX_SELF_HEALTH_FAILURES) {
-        console.error(`[self-health] ${MAX_SELF_HEALTH_FAILURES} consecutive failures — exiting for restart`);
+        log.error(`[self-health] ${MAX_SELF_HEALTH_FAILURES} consecutive failures — exiting for restart`, { event: "self_health.exit" });
         process.exit(1);
     }
 }, SELF_HEALTH_INTERVAL_MS);
 
-// Graceful shutdown
-for (const signal of ["SIGINT", "SIGTERM"]) {
-    process.on(signal, () => {
-        console.log(`\n[geminicli-bridge] Received ${signal}, shutting down...`);
-        server.close(() => process.exit(0));
-        setTimeout(() => process.exit(1), 5000);
+// ─── Graceful shutdown ───────────────────────────────────────────
+// On SIGINT / SIGTERM the bridge drains: new requests, and those still
+// queued for a slot, get 503 with Retry-After, while running requests get
+// CONFIG.shutdownGraceMs to finish. Runs still going after that are
+// stopped (see stopRuns) and their clients get the same error, in-band if
+// the response has started. However the process exits, the stores are
+// flushed and leftover temp directories removed. A second signal exits at
+// once.
+
+let shuttingDown = false;
+
+/**
+ * The error for requests that arrive or are still running while the bridge shuts down.
+ */
+function shuttingDownError() {
+    return new RequestError(503, "The bridge is shutting down, please retry shortly", "shutting_down", {
+        "Retry-After": String(CONFIG.retryAfterSec),
+    });
+}
+
+/**
+ * Resolve once no Gemini CLI run is active, or after `ms`.
+ */
+function waitForRuns(ms) {
+    const deadline = Date.now() + ms;
+    return new Promise((resolve) => {
+        const check = () => (!activeRuns.size || Date.now() >= deadline ? resolve() : setTimeout(check, 100));
+        check();
+    });
+}
+
+/**
+ * Drain and exit (see above).
+ */
+async function shutdown(signal) {
+    if (shuttingDown) {
+        log.warn(`[geminicli-bridge] Received ${signal} again, exiting now`, { event: "server.shutdown_forced", signal, runs: activeRuns.size });
+        process.exit(1);
+    }
+    shuttingDown = true;
+    // A slow /health during the drain must not end the process early
+    clearInterval(selfHealthTimer);
+    stopWarmPool();
+    rejectQueued(shuttingDownError());
+    log.info(`[geminicli-bridge] Received ${signal}, draining ${activeRuns.size} run(s) for up to ${CONFIG.shutdownGraceMs / 1000}s...`, {
+        event: "server.shutdown",
+        signal,
+        runs: activeRuns.size,
+        graceMs: CONFIG.shutdownGraceMs,
     });
+
+    await waitForRuns(CONFIG.shutdownGraceMs);
+    if (activeRuns.size) {
+        log.warn(`✗ ${activeRuns.size} run(s) still going after ${CONFIG.shutdownGraceMs / 1000}s — stopping them`, {
+            event: "server.shutdown_stop",
+            runs: activeRuns.size,
+        });
+        stopRuns([...activeRuns], "at shutdown", shuttingDownError());
+        // terminateProcess follows up with SIGKILL after 5 seconds
+        await waitForRuns(6000);
+    }
+
+    // The last responses have been written; idle keep-alive connections can go
+    server.close(() => process.exit(0));
+    server.closeIdleConnections();
+    setTimeout(() => process.exit(0), 2000);
+}
+
+process.on("exit", () => {
+    // Left only when the drain was cut short; they'd outlive the bridge
+    for (const proc of cliProcesses) {
+        try { proc.kill("SIGKILL"); } catch { }
+    }
+    sessionStore?.flush();
+    responseStore.flush();
+    cleanupTempDirs();
+});
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => shutdown(signal));
 }
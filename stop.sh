@@ -4,12 +4,26 @@
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 PIDFILE="$SCRIPT_DIR/geminicli-bridge.pid"
 
+if [ -f "$SCRIPT_DIR/.env" ]; then
+    set -a
+    source "$SCRIPT_DIR/.env"
+    set +a
+fi
+
+# The bridge drains in-flight requests for BRIDGE_SHUTDOWN_GRACE_MS, then
+# needs a few more seconds to stop the Gemini CLI processes still running
+GRACE_MS="${BRIDGE_SHUTDOWN_GRACE_MS:-30000}"
+WAIT_S=$(( GRACE_MS / 1000 + 10 ))
+
 if [ -f "$PIDFILE" ]; then
     PID=$(cat "$PIDFILE")
     if kill -0 "$PID" 2>/dev/null; then
         echo "Stopping geminicli-bridge (PID $PID)..."
         kill "$PID"
-        sleep 2
+        for _ in $(seq 1 "$WAIT_S"); do
+            kill -0 "$PID" 2>/dev/null || break
+            sleep 1
+        done
         if kill -0 "$PID" 2>/dev/null; then
             echo "Force killing..."
             kill -9 "$PID"
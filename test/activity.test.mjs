@@ -0,0 +1,48 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge, sseData } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge({ env: { BRIDGE_HEARTBEAT_MS: "50" } });
+});
+after(() => bridge.stop());
+
+const stream = (content, extra = {}, headers = {}) => bridge.request("POST", "/v1/chat/completions", {
+    headers,
+    body: { model: "gemini-2.5-flash", stream: true, messages: [{ role: "user", content }], ...extra },
+});
+
+/** The `event: bridge.activity` payloads of an SSE body. */
+function activityEvents(body) {
+    return [...body.matchAll(/^event: bridge\.activity\ndata: (.*)$/gm)].map((match) => JSON.parse(match[1]));
+}
+
+test("activity is off by default", async () => {
+    const res = await stream("TOOLUSE");
+    assert.deepEqual(activityEvents(res.body), []);
+    const chunks = sseData(res.body).filter((data) => typeof data === "object");
+    assert.ok(!chunks.some((chunk) => chunk.choices[0]?.delta?.reasoning_content));
+});
+
+test("events mode sends bridge.activity events", async () => {
+    const res = await stream("TOOLUSE", { activity: "events" });
+    assert.deepEqual(activityEvents(res.body), [
+        { index: 0, kind: "tool_use", id: "t1", name: "read_file", arguments: "file_path=/etc/hosts" },
+        { index: 0, kind: "tool_result", id: "t1", name: "read_file", status: "success", error: null },
+    ]);
+});
+
+test("reasoning mode reports tool calls as reasoning_content", async () => {
+    const res = await stream("TOOLUSE", {}, { "X-Bridge-Activity": "reasoning" });
+    const chunks = sseData(res.body).filter((data) => typeof data === "object");
+    const reasoning = chunks.map((chunk) => chunk.choices[0]?.delta?.reasoning_content || "").join("");
+    assert.match(reasoning, /\[tool\] read_file\(file_path=\/etc\/hosts\)/);
+    assert.equal(chunks.map((chunk) => chunk.choices[0]?.delta?.content || "").join(""), "Hello from gemini-2.5-flash");
+});
+
+test("quiet streams get keep-alive comments", async () => {
+    const res = await stream("WAIT300");
+    assert.match(res.body, /^: keep-alive$/m);
+    assert.equal(sseData(res.body).at(-1), "[DONE]");
+});
@@ -0,0 +1,81 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge, waitFor } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge({ config: { keys: [{ key: "admin-key", label: "ops", admin: true }] } });
+});
+after(() => bridge.stop());
+
+const auth = { headers: { Authorization: "Bearer admin-key" } };
+
+test("admins see a running request, follow its log and cancel it", async () => {
+    const pending = bridge.request("POST", "/v1/chat/completions", {
+        headers: { ...auth.headers, "X-Request-Id": "admin-watched" },
+        body: { model: "gemini-2.5-flash", messages: [{ role: "user", content: "SLOW" }] },
+    });
+    const run = await waitFor(async () => (await bridge.request("GET", "/v1/admin/requests", auth)).json.data
+        .find((entry) => entry.requestId === "admin-watched" && entry.pid));
+    assert.equal(run.model, "gemini-2.5-flash");
+    assert.ok(run.elapsedMs >= 0);
+
+    const detail = await bridge.request("GET", "/v1/admin/requests/admin-watched", auth);
+    assert.equal(detail.status, 200);
+    assert.equal(detail.json.runs.length, 1);
+    assert.ok(detail.json.events.some((entry) => entry.event === "request.start"));
+
+    const events = bridge.request("GET", "/v1/admin/requests/admin-watched/events", auth);
+    const cancel = await bridge.request("POST", "/v1/admin/requests/admin-watched/cancel", auth);
+    assert.equal(cancel.status, 200);
+
+    const res = await pending;
+    assert.equal(res.status, 409);
+    assert.equal(res.json.error.type, "request_cancelled");
+    assert.match((await events).body, /^event: end$/m);
+    await waitFor(async () => (await bridge.request("GET", "/v1/admin/requests", auth)).json.data.length === 0);
+});
+
+test("cancelling an unknown request is a 404", async () => {
+    const res = await bridge.request("POST", "/v1/admin/requests/nobody/cancel", auth);
+    assert.equal(res.status, 404);
+});
+
+const ADMIN_ROUTES = [
+    ["GET", "/v1/admin/credentials"],
+    ["GET", "/v1/admin/requests"],
+    ["GET", "/v1/admin/requests/some-id"],
+    ["GET", "/v1/admin/requests/some-id/events"],
+    ["POST", "/v1/admin/requests/some-id/cancel"],
+];
+
+const bridges = [];
+after(() => Promise.all(bridges.map((bridge) => bridge.stop())));
+
+test("without keys configured, admin routes are forbidden", async () => {
+    const bridge = await startBridge();
+    bridges.push(bridge);
+    for (const [method, path] of ADMIN_ROUTES) {
+        const res = await bridge.request(method, path);
+        assert.equal(res.status, 403, `${method} ${path}`);
+        assert.equal(res.json.error.type, "permission_denied");
+    }
+    // Usage is limited to the caller's own
+    const usage = await bridge.request("GET", "/v1/usage?client=someone-else");
+    assert.equal(usage.json.client, "anonymous");
+});
+
+test("with keys, only admin keys reach admin routes", async () => {
+    const bridge = await startBridge({
+        config: { keys: [{ key: "admin-key", label: "ops", admin: true }, { key: "user-key", label: "app" }] },
+    });
+    bridges.push(bridge);
+    const as = (key) => ({ headers: { Authorization: `Bearer ${key}` } });
+    for (const [method, path] of ADMIN_ROUTES) {
+        assert.equal((await bridge.request(method, path)).status, 401, `${method} ${path} without a key`);
+        assert.equal((await bridge.request(method, path, as("user-key"))).status, 403, `${method} ${path} as a user`);
+    }
+    assert.equal((await bridge.request("GET", "/v1/admin/requests", as("admin-key"))).status, 200);
+    assert.equal((await bridge.request("GET", "/v1/admin/credentials", as("admin-key"))).status, 200);
+    assert.equal((await bridge.request("GET", "/v1/admin/requests/some-id", as("admin-key"))).status, 404);
+});
@@ -0,0 +1,106 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync } from "node:fs";
+import { createServer } from "node:http";
+import { startBridge, waitFor } from "./helpers.mjs";
+
+// Stands in for an internal service the bridge must not be made to fetch from
+let hits = 0;
+const internal = createServer((req, res) => {
+    hits++;
+    res.writeHead(200, { "Content-Type": "image/png" });
+    res.end("secret");
+});
+let port;
+before(async () => {
+    await new Promise((resolve) => internal.listen(0, "127.0.0.1", resolve));
+    port = internal.address().port;
+});
+
+const bridges = [];
+after(async () => {
+    await Promise.all(bridges.map((bridge) => bridge.stop()));
+    internal.close();
+});
+
+const withImage = (url) => ({
+    body: {
+        model: "gemini-2.5-flash",
+        messages: [{ role: "user", content: [{ type: "text", text: "what is this?" }, { type: "image_url", image_url: { url } }] }],
+    },
+});
+const dataUrl = (type, data) => `data:${type};base64,${Buffer.from(data).toString("base64")}`;
+
+test("inline attachments reach Gemini CLI as files and are removed afterwards", async () => {
+    const bridge = await startBridge();
+    bridges.push(bridge);
+    const res = await bridge.request("POST", "/v1/chat/completions", withImage(dataUrl("image/png", "png")));
+    assert.equal(res.status, 200);
+
+    const { args, prompt } = bridge.runs().at(-1);
+    const file = prompt.match(/@(\S+\.png)/)?.[1];
+    assert.ok(file, prompt);
+    const dir = args[args.indexOf("--include-directories") + 1];
+    assert.ok(file.startsWith(dir), `${file} is outside ${dir}`);
+    await waitFor(() => !existsSync(dir));
+});
+
+test("attachments of other types or over the size limit are a 400", async () => {
+    const bridge = await startBridge({ env: { BRIDGE_MAX_ATTACHMENT_BYTES: "10" } });
+    bridges.push(bridge);
+    const exe = await bridge.request("POST", "/v1/chat/completions", withImage(dataUrl("application/x-msdownload", "MZ")));
+    assert.equal(exe.status, 400);
+    const big = await bridge.request("POST", "/v1/chat/completions", withImage(dataUrl("image/png", "x".repeat(100))));
+    assert.equal(big.status, 400);
+    assert.equal(bridge.runs().length, 0);
+});
+
+test("a failure to store attachments is a 500 that keeps its cause in the log", async () => {
+    const bridge = await startBridge({ env: { TMPDIR: "/nonexistent/bridge-tmp" } });
+    bridges.push(bridge);
+    const res = await bridge.request("POST", "/v1/chat/completions", withImage(dataUrl("image/png", "png")));
+    assert.equal(res.status, 500);
+    assert.equal(res.json.error.message, "Failed to prepare the request");
+    assert.match(bridge.output, /\/nonexistent\/bridge-tmp/);
+    assert.equal(bridge.runs().length, 0);
+});
+
+test("attachment URLs aren't fetched by default", async () => {
+    const bridge = await startBridge();
+    bridges.push(bridge);
+    const res = await bridge.request("POST", "/v1/chat/completions", withImage(`http://127.0.0.1:${port}/a.png`));
+    assert.equal(res.status, 400);
+    assert.match(res.json.error.message, /not fetched/);
+
+    // Inline data still works
+    const inline = await bridge.request("POST", "/v1/chat/completions", withImage(`data:image/png;base64,${Buffer.from("png").toString("base64")}`));
+    assert.equal(inline.status, 200);
+    assert.equal(hits, 0);
+});
+
+test("private and loopback addresses are never fetched", async () => {
+    const bridge = await startBridge({ env: { BRIDGE_ATTACHMENT_FETCH: "1" } });
+    bridges.push(bridge);
+    for (const url of [
+        `http://127.0.0.1:${port}/a.png`,
+        `http://localhost:${port}/a.png`,
+        `http://[::ffff:127.0.0.1]:${port}/a.png`,
+        `http://2130706433:${port}/a.png`,
+        "http://169.254.169.254/latest/meta-data/",
+        "http://10.0.0.1/a.png",
+        "file:///etc/passwd",
+    ]) {
+        const res = await bridge.request("POST", "/v1/chat/completions", withImage(url));
+        assert.equal(res.status, 400, url);
+        assert.match(res.json.error.message, /private address|http\(s\) URL/, url);
+    }
+    assert.equal(hits, 0);
+});
+
+test("a host list limits which hosts are fetched", async () => {
+    const bridge = await startBridge({ env: { BRIDGE_ATTACHMENT_FETCH: "1", BRIDGE_ATTACHMENT_FETCH_HOSTS: "cdn.example.com" } });
+    bridges.push(bridge);
+    const res = await bridge.request("POST", "/v1/chat/completions", withImage("https://other.example.com/a.png"));
+    assert.equal(res.status, 400);
+    assert.match(res.json.error.message, /host other\.example\.com is not allowed/);
+});
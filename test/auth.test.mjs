@@ -0,0 +1,109 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge } from "./helpers.mjs";
+
+const bridges = [];
+after(() => Promise.all(bridges.map((bridge) => bridge.stop())));
+
+const chat = { model: "gemini-2.5-flash", messages: [{ role: "user", content: "hi" }] };
+const as = (key, options = {}) => ({ ...options, headers: { Authorization: `Bearer ${key}`, ...options.headers } });
+
+test("without keys, browser-style requests can't drive Gemini CLI", async () => {
+    const bridge = await startBridge();
+    bridges.push(bridge);
+
+    // A "simple" cross-origin POST: no preflight, text/plain body
+    const simple = await bridge.request("POST", "/v1/chat/completions", {
+        headers: { "Content-Type": "text/plain", Origin: "https://evil.example" },
+        body: JSON.stringify(chat),
+    });
+    assert.equal(simple.status, 403);
+
+    const textPlain = await bridge.request("POST", "/v1/chat/completions", {
+        headers: { "Content-Type": "text/plain" },
+        body: JSON.stringify(chat),
+    });
+    assert.equal(textPlain.status, 415);
+
+    const form = await bridge.request("POST", "/v1/messages", {
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: "a=b",
+    });
+    assert.equal(form.status, 415);
+    assert.equal(form.json.type, "error");
+
+    const json = await bridge.request("POST", "/v1/chat/completions", {
+        headers: { Origin: "https://evil.example" },
+        body: chat,
+    });
+    assert.equal(json.status, 403);
+    assert.equal(json.headers["access-control-allow-origin"], undefined);
+
+    // Clients outside a browser send no Origin
+    assert.equal((await bridge.request("POST", "/v1/chat/completions", { body: chat })).status, 200);
+});
+
+test("allowed origins get through with CORS headers", async () => {
+    const bridge = await startBridge({ env: { BRIDGE_CORS_ORIGINS: "http://localhost:3000" } });
+    bridges.push(bridge);
+    const res = await bridge.request("POST", "/v1/chat/completions", {
+        headers: { Origin: "http://localhost:3000" },
+        body: chat,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers["access-control-allow-origin"], "http://localhost:3000");
+    const other = await bridge.request("GET", "/v1/models", { headers: { Origin: "http://localhost:4000" } });
+    assert.equal(other.status, 403);
+});
+
+test("with keys, routes other than /health need a valid one", async () => {
+    const bridge = await startBridge({ env: { BRIDGE_API_KEYS: "secret-key" } });
+    bridges.push(bridge);
+    assert.deepEqual((await bridge.request("GET", "/health")).json, { status: "ok" });
+    assert.equal((await bridge.request("GET", "/v1/models")).status, 401);
+    assert.equal((await bridge.request("GET", "/v1/models", { headers: { Authorization: "Bearer wrong" } })).status, 401);
+    assert.equal((await bridge.request("POST", "/v1/chat/completions", { body: chat, headers: { "x-api-key": "secret-key" } })).status, 200);
+    assert.equal(bridge.runs().length, 1);
+});
+
+test("key policies limit models, approval mode and request rate", async () => {
+    const bridge = await startBridge({
+        config: {
+            keys: [{
+                key: "limited-key",
+                label: "limited",
+                models: ["gemini-2.5-flash"],
+                maxApprovalMode: "plan",
+                rateLimit: { requestsPerMinute: 1 },
+            }],
+        },
+    });
+    bridges.push(bridge);
+
+    const models = await bridge.request("GET", "/v1/models", as("limited-key"));
+    assert.ok(models.json.data.every((model) => model.id.endsWith("gemini-2.5-flash")), models.body);
+
+    const other = await bridge.request("POST", "/v1/chat/completions", as("limited-key", { body: { ...chat, model: "gemini-2.5-pro" } }));
+    assert.equal(other.status, 403);
+
+    const res = await bridge.request("POST", "/v1/chat/completions", as("limited-key", { body: chat }));
+    assert.equal(res.status, 200);
+    const { args } = bridge.runs().at(-1);
+    assert.equal(args[args.indexOf("--approval-mode") + 1], "plan");
+    assert.ok(!args.includes("-y"));
+
+    const limited = await bridge.request("POST", "/v1/chat/completions", as("limited-key", { body: chat }));
+    assert.equal(limited.status, 429);
+    assert.ok(limited.headers["retry-after"]);
+    assert.equal(bridge.runs().length, 1);
+});
+
+test("CORS headers are only sent to listed origins", async () => {
+    const bridge = await startBridge({ env: { BRIDGE_CORS_ORIGINS: "http://localhost:3000" } });
+    bridges.push(bridge);
+    const preflight = (origin) => bridge.request("OPTIONS", "/v1/chat/completions", { headers: { Origin: origin, "Access-Control-Request-Method": "POST" } });
+    const listed = await preflight("http://localhost:3000");
+    assert.equal(listed.headers["access-control-allow-origin"], "http://localhost:3000");
+    const other = await preflight("http://localhost:4000");
+    assert.equal(other.headers["access-control-allow-origin"], undefined);
+});
@@ -0,0 +1,50 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge, sseData } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge({ env: { BRIDGE_CACHE: "1", GEMINI_APPROVAL_MODE: "plan" } });
+});
+after(() => bridge.stop());
+
+const ask = (content, extra = {}) => bridge.request("POST", "/v1/chat/completions", {
+    body: { model: "gemini-2.5-flash", messages: [{ role: "user", content }], ...extra },
+});
+
+test("an identical request is answered from the cache", async () => {
+    const first = await ask("cache me");
+    assert.equal(first.headers["x-cache"], "MISS");
+    const second = await ask("cache me");
+    assert.equal(second.headers["x-cache"], "HIT");
+    assert.equal(second.json.choices[0].message.content, first.json.choices[0].message.content);
+    assert.equal(bridge.runs().length, 1);
+
+    // Replayed as a stream when the request asks for one
+    const streamed = await ask("cache me", { stream: true });
+    assert.equal(streamed.headers["x-cache"], "HIT");
+    const chunks = sseData(streamed.body).filter((data) => typeof data === "object");
+    assert.equal(chunks.map((chunk) => chunk.choices[0]?.delta?.content || "").join(""), "Hello from gemini-2.5-flash");
+    assert.equal(bridge.runs().length, 1);
+});
+
+test("cache: false and yolo mode skip the cache", async () => {
+    const runs = bridge.runs().length;
+    await ask("skip me");
+    const skipped = await ask("skip me", { cache: false });
+    assert.equal(skipped.headers["x-cache"], "BYPASS");
+    const yolo = await ask("skip me", { approval_mode: "yolo" });
+    assert.equal(yolo.headers["x-cache"], "BYPASS");
+    assert.equal(bridge.runs().length, runs + 3);
+});
+
+test("a Responses answer from the cache is stored and can be continued", async () => {
+    const respond = (body) => bridge.request("POST", "/v1/responses", { body: { model: "gemini-2.5-flash", ...body } });
+    await respond({ input: "remember the cache" });
+    const cached = await respond({ input: "remember the cache" });
+    assert.equal(cached.headers["x-cache"], "HIT");
+
+    const next = await respond({ input: "and then?", previous_response_id: cached.json.id });
+    assert.equal(next.status, 200, next.body);
+    assert.match(bridge.runs().at(-1).prompt, /remember the cache[\s\S]*and then\?/);
+});
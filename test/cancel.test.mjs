@@ -0,0 +1,84 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge, sseData, waitFor } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge({ env: { BRIDGE_HEARTBEAT_MS: "0" }, config: { keys: [{ key: "admin-key", admin: true }] } });
+});
+after(() => bridge.stop());
+
+const auth = { Authorization: "Bearer admin-key" };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Start a request that hangs in Gemini CLI, cancel it through the admin
+ * API once the CLI has had time to stream and resolve to its response.
+ */
+async function cancelled(path, requestId, body) {
+    const pending = bridge.request("POST", path, { headers: { ...auth, "X-Request-Id": requestId }, body });
+    await waitFor(async () => (await bridge.request("GET", "/v1/admin/requests", { headers: auth })).json.data.some((run) => run.requestId === requestId && run.pid));
+    await sleep(300);
+    const cancel = await bridge.request("POST", `/v1/admin/requests/${requestId}/cancel`, { headers: auth });
+    assert.equal(cancel.status, 200);
+    return pending;
+}
+
+test("a cancelled chat stream ends with an error chunk", async () => {
+    const res = await cancelled("/v1/chat/completions", "cancel-chat-stream", {
+        model: "gemini-2.5-flash", stream: true, messages: [{ role: "user", content: "SLOW" }],
+    });
+    const data = sseData(res.body);
+    assert.equal(data.at(-1), "[DONE]");
+    assert.equal(data.at(-2).error?.type, "request_cancelled");
+});
+
+test("a cancelled chat stream that hasn't sent text yet ends with an error chunk", async () => {
+    const res = await cancelled("/v1/chat/completions", "cancel-chat-quiet", {
+        model: "gemini-2.5-flash", stream: true, messages: [{ role: "user", content: "WAIT60000" }],
+    });
+    const data = sseData(res.body);
+    if (res.status === 200) assert.equal(data.at(-2).error?.type, "request_cancelled");
+    else assert.equal(res.json.error.type, "request_cancelled");
+});
+
+test("a cancelled chat stream with several choices ends with errors", async () => {
+    const res = await cancelled("/v1/chat/completions", "cancel-chat-n", {
+        model: "gemini-2.5-flash", stream: true, n: 2, messages: [{ role: "user", content: "SLOW" }],
+    });
+    const chunks = sseData(res.body).filter((data) => typeof data === "object");
+    assert.ok(chunks.some((chunk) => chunk.error?.type === "request_cancelled" || chunk.choices?.some((c) => c.finish_reason === "error")), res.body);
+});
+
+test("a cancelled non-stream request gets a 409", async () => {
+    const res = await cancelled("/v1/chat/completions", "cancel-chat-plain", {
+        model: "gemini-2.5-flash", messages: [{ role: "user", content: "SLOW" }],
+    });
+    assert.equal(res.status, 409);
+    assert.equal(res.json.error.type, "request_cancelled");
+});
+
+test("cancelled Responses and Messages streams end with an error event", async () => {
+    const responses = await cancelled("/v1/responses", "cancel-responses", { model: "gemini-2.5-flash", stream: true, input: "SLOW" });
+    assert.match(responses.body, /event: response\.failed/);
+    const messages = await cancelled("/v1/messages", "cancel-messages", {
+        model: "gemini-2.5-flash", stream: true, max_tokens: 100, messages: [{ role: "user", content: "SLOW" }],
+    });
+    assert.match(messages.body, /event: error\ndata: .*cancelled by an administrator/);
+});
+
+test("a chat stream killed at the timeout ends with an error chunk even if the CLI exits cleanly", async () => {
+    const slow = await startBridge({ env: { BRIDGE_TIMEOUT_MS: "500", BRIDGE_HEARTBEAT_MS: "0" } });
+    try {
+        const res = await slow.request("POST", "/v1/chat/completions", {
+            body: { model: "gemini-2.5-flash", stream: true, messages: [{ role: "user", content: "SLOW TRAPTERM" }] },
+        });
+        const data = sseData(res.body);
+        assert.equal(data.at(-1), "[DONE]");
+        assert.equal(data.at(-2).error?.type, "timeout");
+        assert.ok(!data.some((chunk) => chunk.choices?.[0]?.finish_reason === "stop"), res.body);
+    } finally {
+        await slow.stop();
+    }
+});
@@ -0,0 +1,47 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge, sseData } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge();
+});
+after(() => bridge.stop());
+
+const chat = (extra = {}) => ({ model: "gemini-2.5-flash", messages: [{ role: "user", content: "hi" }], ...extra });
+
+test("health and model list answer", async () => {
+    const health = await bridge.request("GET", "/health");
+    assert.equal(health.status, 200);
+    assert.equal(health.json.status, "ok");
+    const models = await bridge.request("GET", "/v1/models");
+    assert.equal(models.json.object, "list");
+    assert.ok(models.json.data.length > 0);
+    assert.equal(models.json.data[0].object, "model");
+});
+
+test("a chat completion returns Gemini CLI's reply", async () => {
+    const res = await bridge.request("POST", "/v1/chat/completions", { body: chat() });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.object, "chat.completion");
+    assert.equal(res.json.choices[0].message.role, "assistant");
+    assert.equal(res.json.choices[0].message.content, "Hello from gemini-2.5-flash");
+    assert.equal(res.json.choices[0].finish_reason, "stop");
+});
+
+test("a streamed chat completion sends chunks and ends with [DONE]", async () => {
+    const res = await bridge.request("POST", "/v1/chat/completions", { body: chat({ stream: true }) });
+    assert.equal(res.status, 200);
+    assert.match(res.headers["content-type"], /text\/event-stream/);
+    const data = sseData(res.body);
+    assert.equal(data.at(-1), "[DONE]");
+    const chunks = data.filter((item) => typeof item === "object");
+    assert.equal(chunks.map((chunk) => chunk.choices[0]?.delta?.content || "").join(""), "Hello from gemini-2.5-flash");
+    assert.equal(chunks.at(-1).choices[0].finish_reason, "stop");
+});
+
+test("invalid JSON is a 400", async () => {
+    const res = await bridge.request("POST", "/v1/chat/completions", { body: "{" });
+    assert.equal(res.status, 400);
+    assert.equal(res.json.error.type, "invalid_request");
+});
@@ -0,0 +1,44 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge, sseData } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge();
+});
+after(() => bridge.stop());
+
+const ask = (extra) => bridge.request("POST", "/v1/chat/completions", {
+    body: { model: "gemini-2.5-flash", messages: [{ role: "user", content: "hi" }], ...extra },
+});
+
+test("n choices are separate runs in one response", async () => {
+    const runs = bridge.runs().length;
+    const res = await ask({ n: 2 });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.json.choices.map((choice) => choice.index), [0, 1]);
+    for (const choice of res.json.choices) assert.equal(choice.message.content, "Hello from gemini-2.5-flash");
+    assert.equal(bridge.runs().length, runs + 2);
+
+    const single = await ask({});
+    assert.equal(res.json.usage.completion_tokens, 2 * single.json.usage.completion_tokens);
+});
+
+test("streamed choices carry their index and usage comes last", async () => {
+    const res = await ask({ n: 2, stream: true, stream_options: { include_usage: true } });
+    const chunks = sseData(res.body).filter((data) => typeof data === "object");
+    for (const index of [0, 1]) {
+        const text = chunks.flatMap((chunk) => chunk.choices.filter((choice) => choice.index === index))
+            .map((choice) => choice.delta?.content || "").join("");
+        assert.equal(text, "Hello from gemini-2.5-flash");
+    }
+    assert.deepEqual(chunks.at(-1).choices, []);
+    assert.ok(chunks.at(-1).usage.completion_tokens > 0);
+});
+
+test("n over BRIDGE_MAX_CHOICES is a 400", async () => {
+    const runs = bridge.runs().length;
+    const res = await ask({ n: 5 });
+    assert.equal(res.status, 400);
+    assert.equal(bridge.runs().length, runs);
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge } from "./helpers.mjs";
+
+// A 1000-token window less 100 for the reply leaves 900 for the prompt
+const config = { models: [{ id: "gemini-2.5-pro", aliases: ["small"], contextWindow: 1000, maxOutputTokens: 100 }] };
+const env = { BRIDGE_CONTEXT_OVERHEAD_TOKENS: "0", BRIDGE_CONTEXT_SUMMARY_TOKENS: "100" };
+
+// About 570 tokens per long turn: two don't fit, one does
+const history = [
+    { role: "system", content: "Be brief." },
+    { role: "user", content: "first " + "a".repeat(2000) },
+    { role: "assistant", content: "ok" },
+    { role: "user", content: "second " + "b".repeat(2000) },
+    { role: "assistant", content: "ok" },
+    { role: "user", content: "latest question" },
+];
+
+/**
+ * Send `history` to a bridge using `strategy`, then stop it. With `key`,
+ * the bridge has that API key entry and the request uses it.
+ * Resolves to the response and the fake CLI's runs.
+ */
+async function send(strategy, key) {
+    const bridge = await startBridge({ config: { ...config, keys: key && [key] }, env: { ...env, BRIDGE_CONTEXT_STRATEGY: strategy } });
+    try {
+        const res = await bridge.request("POST", "/v1/chat/completions", {
+            headers: key ? { Authorization: `Bearer ${key.key}` } : {},
+            body: { model: "small", messages: history },
+        });
+        return { res, runs: bridge.runs() };
+    } finally {
+        await bridge.stop();
+    }
+}
+
+test("reject answers an over-long prompt with context_length_exceeded", async () => {
+    const { res, runs } = await send("reject");
+    assert.equal(res.status, 400);
+    assert.equal(res.json.error.type, "context_length_exceeded");
+    assert.match(res.json.error.message, /1000 tokens/);
+    assert.equal(runs.length, 0);
+});
+
+test("truncate drops the oldest turns but keeps system messages", async () => {
+    const { res, runs } = await send("truncate");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers["x-context-trimmed"], "dropped=2");
+    assert.ok(Number(res.headers["x-context-tokens"]) <= 900);
+    assert.equal(runs.length, 1);
+    assert.match(runs[0].prompt, /Be brief\./);
+    assert.doesNotMatch(runs[0].prompt, /first a/);
+    assert.match(runs[0].prompt, /second b/);
+    assert.match(runs[0].prompt, /latest question/);
+});
+
+test("summarize replaces the dropped turns with a summary", async () => {
+    const { res, runs } = await send("summarize");
+    assert.equal(res.status, 200);
+    assert.equal(res.headers["x-context-trimmed"], "summarized=2");
+    assert.equal(runs.length, 2);
+    assert.equal(runs[0].model, "gemini-2.5-flash");
+    assert.equal(runs[0].args[runs[0].args.indexOf("--approval-mode") + 1], "plan");
+    assert.match(runs[0].prompt, /^Summarize the conversation/);
+    assert.match(runs[0].prompt, /first a/);
+    assert.match(runs[1].prompt, /\[Summary of the earlier conversation\]\nHello from gemini-2\.5-flash/);
+    assert.doesNotMatch(runs[1].prompt, /first a/);
+});
+
+test("a key that may not use the summary model gets the turns dropped", async () => {
+    const { res, runs } = await send("summarize", { key: "pro-only-key", label: "pro-only", models: ["gemini-2.5-pro"] });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers["x-context-trimmed"], "dropped=2");
+    assert.deepEqual(runs.map((run) => run.model), ["gemini-2.5-pro"]);
+});
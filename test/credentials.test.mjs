@@ -0,0 +1,56 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge({
+        env: { BRIDGE_CREDENTIAL_COOLDOWN_MS: "60000" },
+        config: {
+            keys: [{ key: "ops-key", label: "ops", admin: true }],
+            credentials: [
+                { id: "first", apiKey: "AIzaFirstProfileKey0001" },
+                { id: "second", apiKey: "AIzaSecondProfileKey002", env: { EXTRA_TOKEN: "not-for-the-eyes" } },
+                { id: "spare", apiKey: "AIzaSpareProfileKey0003", enabled: false },
+            ],
+        },
+    });
+});
+after(() => bridge.stop());
+
+const as = (options = {}) => ({ ...options, headers: { Authorization: "Bearer ops-key" } });
+const ask = (content) => bridge.request("POST", "/v1/chat/completions", as({
+    body: { model: "gemini-2.5-flash", messages: [{ role: "user", content }] },
+}));
+const status = async () => Object.fromEntries(
+    (await bridge.request("GET", "/v1/admin/credentials", as())).json.credentials.map((profile) => [profile.id, profile])
+);
+
+test("runs take turns on the enabled profiles, secrets masked in the status", async () => {
+    assert.equal((await ask("hi")).status, 200);
+    assert.equal((await ask("hi")).status, 200);
+    const profiles = await status();
+    assert.equal(profiles.first.runs, 1);
+    assert.equal(profiles.second.runs, 1);
+    assert.equal(profiles.spare.status, "disabled");
+    assert.equal(profiles.first.apiKey, "AIza…0001");
+    assert.notEqual(profiles.second.env.EXTRA_TOKEN, "not-for-the-eyes");
+    assert.equal((await bridge.request("GET", "/v1/admin/credentials")).status, 401);
+});
+
+test("rate-limited profiles cool down until none is left", async () => {
+    const runs = bridge.runs().length;
+    const limited = await ask("RATELIMIT");
+    assert.equal(limited.status, 429);
+    assert.equal(bridge.runs().length, runs + 2);
+    const profiles = await status();
+    for (const id of ["first", "second"]) {
+        assert.equal(profiles[id].status, "cooling_down");
+        assert.equal(profiles[id].rateLimits, 1);
+    }
+
+    const exhausted = await ask("hi");
+    assert.equal(exhausted.status, 429);
+    assert.ok(Number(exhausted.headers["retry-after"]) > 50);
+    assert.equal(bridge.runs().length, runs + 2);
+});
@@ -0,0 +1,45 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { request } from "node:http";
+import { startBridge, waitFor } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge();
+});
+after(() => bridge.stop());
+
+const alive = (pid) => {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Start a request whose Gemini CLI run hangs and drop the connection once
+ * the CLI has started.
+ */
+async function abandon(body) {
+    const req = request({ host: "127.0.0.1", port: bridge.port, method: "POST", path: "/v1/chat/completions", headers: { "Content-Type": "application/json" } });
+    req.on("error", () => { });
+    const count = bridge.runs().length;
+    req.end(JSON.stringify(body));
+    const run = await waitFor(() => bridge.runs()[count]);
+    assert.ok(alive(run.pid));
+    req.destroy();
+    return run;
+}
+
+test("a client that disconnects mid-stream stops Gemini CLI", async () => {
+    const run = await abandon({ model: "gemini-2.5-flash", stream: true, messages: [{ role: "user", content: "SLOW" }] });
+    await waitFor(() => !alive(run.pid));
+    await waitFor(() => /cancelled after/.test(bridge.output));
+});
+
+test("so does one that gives up on a non-streaming request", async () => {
+    const run = await abandon({ model: "gemini-2.5-flash", messages: [{ role: "user", content: "SLOW" }] });
+    await waitFor(() => !alive(run.pid));
+});
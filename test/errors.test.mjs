@@ -0,0 +1,79 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { startBridge, sseData } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge({ env: { BRIDGE_RETRY_AFTER_S: "7", BRIDGE_TIMEOUT_MS: "500" } });
+});
+after(() => bridge.stop());
+
+const ask = (content, extra = {}) => bridge.request("POST", "/v1/chat/completions", {
+    body: { model: "gemini-2.5-flash", messages: [{ role: "user", content }], ...extra },
+});
+
+test("a quota error is a 429 rate_limit with Retry-After", async () => {
+    for (const stream of [false, true]) {
+        const res = await ask("RATELIMIT", { stream });
+        assert.equal(res.status, 429);
+        assert.equal(res.json.error.type, "rate_limit");
+        assert.equal(res.headers["retry-after"], "7");
+        assert.doesNotMatch(res.json.error.message, /RESOURCE_EXHAUSTED/);
+    }
+});
+
+test("an error after the stream started is sent in-band", async () => {
+    const res = await ask("SLOW", { stream: true });
+    assert.equal(res.status, 200);
+    const chunks = sseData(res.body).filter((data) => typeof data === "object");
+    assert.equal(chunks.map((chunk) => chunk.choices?.[0]?.delta?.content || "").join(""), "working... ");
+    assert.equal(chunks.at(-1).error.type, "timeout");
+
+    const messages = await bridge.request("POST", "/v1/messages", {
+        body: { model: "gemini-2.5-flash", max_tokens: 100, stream: true, messages: [{ role: "user", content: "SLOW" }] },
+    });
+    assert.match(messages.body, /^event: error$/m);
+});
+
+test("a missing GEMINI_BIN is binary_not_found", async () => {
+    const missing = await startBridge({ env: { GEMINI_BIN: join(bridge.dir, "no-such-gemini") } });
+    try {
+        const res = await missing.request("POST", "/v1/chat/completions", {
+            body: { model: "gemini-2.5-flash", messages: [{ role: "user", content: "hi" }] },
+        });
+        assert.equal(res.status, 500);
+        assert.equal(res.json.error.type, "binary_not_found");
+    } finally {
+        await missing.stop();
+    }
+});
+
+test("a GEMINI_BIN that can't be started fails without cooling credentials down", async () => {
+    const bin = join(bridge.dir, "not-executable");
+    writeFileSync(bin, "#!/bin/sh\n", { mode: 0o644 });
+    const broken = await startBridge({
+        env: { GEMINI_BIN: bin },
+        config: {
+            keys: [{ key: "ops-key", label: "ops", admin: true }],
+            credentials: [{ id: "only", apiKey: "AIzaOnlyProfileKey00001" }],
+        },
+    });
+    try {
+        const auth = { Authorization: "Bearer ops-key" };
+        for (const stream of [false, true]) {
+            const res = await broken.request("POST", "/v1/chat/completions", {
+                headers: auth,
+                body: { model: "gemini-2.5-flash", stream, messages: [{ role: "user", content: "hi" }] },
+            });
+            assert.equal(res.status, 500);
+        }
+        const [profile] = (await broken.request("GET", "/v1/admin/credentials", { headers: auth })).json.credentials;
+        assert.equal(profile.status, "available");
+        assert.equal(profile.rateLimits, 0);
+        assert.equal(profile.runs, 2);
+    } finally {
+        await broken.stop();
+    }
+});
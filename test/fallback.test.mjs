@@ -0,0 +1,39 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge, sseData } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge({
+        env: { BRIDGE_FALLBACK_CHAIN: "gemini-2.5-pro>gemini-2.5-flash", BRIDGE_FALLBACK_RETRIES: "1", BRIDGE_RETRY_BACKOFF_MS: "10" },
+    });
+});
+after(() => bridge.stop());
+
+const ask = (content, extra = {}) => bridge.request("POST", "/v1/chat/completions", {
+    body: { model: "gemini-2.5-pro", messages: [{ role: "user", content }], ...extra },
+});
+const modelsRun = (from) => bridge.runs().slice(from).map((run) => run.model);
+
+test("a capacity error falls back to the next model in the chain", async () => {
+    const from = bridge.runs().length;
+    const res = await ask("RATELIMIT:gemini-2.5-pro");
+    assert.equal(res.status, 200);
+    assert.equal(res.json.model, "gemini/gemini-2.5-flash");
+    assert.equal(res.json.choices[0].message.content, "Hello from gemini-2.5-flash");
+    assert.deepEqual(modelsRun(from), ["gemini-2.5-pro", "gemini-2.5-pro", "gemini-2.5-flash"]);
+});
+
+test("a stream falls back before anything was sent", async () => {
+    const res = await ask("RATELIMIT:gemini-2.5-pro", { stream: true });
+    const chunks = sseData(res.body).filter((data) => typeof data === "object");
+    assert.equal(chunks.map((chunk) => chunk.choices[0]?.delta?.content || "").join(""), "Hello from gemini-2.5-flash");
+    assert.ok(chunks.every((chunk) => chunk.model === "gemini/gemini-2.5-flash"));
+});
+
+test("when the whole chain is out of capacity the client gets a 429", async () => {
+    const from = bridge.runs().length;
+    const res = await ask("RATELIMIT");
+    assert.equal(res.status, 429);
+    assert.deepEqual(modelsRun(from), ["gemini-2.5-pro", "gemini-2.5-pro", "gemini-2.5-flash", "gemini-2.5-flash"]);
+});
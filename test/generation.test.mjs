@@ -0,0 +1,41 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge, sseData } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge();
+});
+after(() => bridge.stop());
+
+const ask = (extra) => bridge.request("POST", "/v1/chat/completions", {
+    body: { model: "gemini-2.5-flash", messages: [{ role: "user", content: "hi" }], ...extra },
+});
+
+test("output ends before the first stop sequence", async () => {
+    const res = await ask({ stop: ["from", "never"] });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.choices[0].message.content, "Hello ");
+    assert.equal(res.json.choices[0].finish_reason, "stop");
+
+    const streamed = await ask({ stop: "from", stream: true });
+    const chunks = sseData(streamed.body).filter((data) => typeof data === "object");
+    assert.equal(chunks.map((chunk) => chunk.choices[0]?.delta?.content || "").join(""), "Hello ");
+    assert.equal(chunks.at(-1).choices[0].finish_reason, "stop");
+});
+
+test("max_tokens cuts the output with finish_reason length", async () => {
+    const res = await ask({ max_tokens: 2 });
+    assert.equal(res.status, 200);
+    const content = res.json.choices[0].message.content;
+    assert.ok(content.length > 0 && "Hello from gemini-2.5-flash".startsWith(content) && content.length < 27, content);
+    assert.equal(res.json.choices[0].finish_reason, "length");
+});
+
+test("parameters the bridge can't honour are listed in X-Ignored-Params", async () => {
+    const res = await ask({ frequency_penalty: 0.5, logprobs: true, temperature: 0.2 });
+    assert.equal(res.status, 200);
+    assert.match(res.headers["x-ignored-params"], /frequency_penalty/);
+    assert.match(res.headers["x-ignored-params"], /logprobs/);
+    assert.doesNotMatch(res.headers["x-ignored-params"], /temperature/);
+});
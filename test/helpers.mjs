@@ -0,0 +1,153 @@
+// Test harness: runs the bridge as a child process against the fake Gemini
+// CLI in fixtures/, on a free port with its own data and working directory.
+import { spawn } from "node:child_process";
+import { request } from "node:http";
+import { createServer } from "node:net";
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+export const FAKE_GEMINI = join(ROOT, "test", "fixtures", "gemini");
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = createServer();
+        server.unref();
+        server.on("error", reject);
+        server.listen(0, "127.0.0.1", () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Start a bridge with `env` on top of the test defaults, and `config` as
+ * its config file. Resolves once /health answers.
+ */
+export async function startBridge({ env = {}, config } = {}) {
+    const dir = mkdtempSync(join(tmpdir(), "geminicli-bridge-test-"));
+    const port = await freePort();
+    const baseEnv = Object.fromEntries(Object.entries(process.env).filter(([name]) => !/^(BRIDGE|GEMINI)_/.test(name)));
+    if (config) writeFileSync(join(dir, "config.json"), JSON.stringify(config));
+
+    const proc = spawn(process.execPath, [join(ROOT, "geminicli-bridge.mjs")], {
+        env: {
+            ...baseEnv,
+            GEMINI_BIN: FAKE_GEMINI,
+            GEMINI_WORKING_DIR: dir,
+            BRIDGE_PORT: String(port),
+            BRIDGE_DATA_DIR: join(dir, "data"),
+            BRIDGE_SHUTDOWN_GRACE_MS: "0",
+            FAKE_GEMINI_LOG: join(dir, "gemini-runs.jsonl"),
+            ...(config && { BRIDGE_CONFIG_FILE: join(dir, "config.json") }),
+            ...env,
+        },
+        stdio: ["ignore", "pipe", "pipe"],
+    });
+    let output = "";
+    proc.stdout.on("data", (chunk) => { output += chunk; });
+    proc.stderr.on("data", (chunk) => { output += chunk; });
+    const exited = new Promise((resolve) => proc.once("exit", resolve));
+
+    const bridge = {
+        dir,
+        port,
+        proc,
+        get output() {
+            return output;
+        },
+        get running() {
+            return proc.exitCode === null && proc.signalCode === null;
+        },
+        request: (method, path, options) => send(port, method, path, options),
+        /** The fake CLI's runs so far: { pid, model, cwd, args, prompt } each. */
+        runs() {
+            const file = join(dir, "gemini-runs.jsonl");
+            if (!existsSync(file)) return [];
+            return readFileSync(file, "utf8").split("\n").filter(Boolean).map((line) => JSON.parse(line));
+        },
+        async stop() {
+            if (bridge.running) proc.kill("SIGTERM");
+            await exited;
+            rmSync(dir, { recursive: true, force: true });
+        },
+    };
+
+    for (let i = 0; i < 100; i++) {
+        if (!bridge.running) break;
+        try {
+            await bridge.request("GET", "/health");
+            return bridge;
+        } catch {
+            await new Promise((resolve) => setTimeout(resolve, 50));
+        }
+    }
+    await bridge.stop();
+    throw new Error(`bridge did not start:\n${output}`);
+}
+
+/**
+ * Send a request and resolve to { status, headers, body, json } once the
+ * response has ended. `json` is the body parsed, if it is JSON.
+ */
+function send(port, method, path, { headers = {}, body } = {}) {
+    const payload = body === undefined || typeof body === "string" ? body : JSON.stringify(body);
+    return new Promise((resolve, reject) => {
+        const req = request({
+            host: "127.0.0.1",
+            port,
+            method,
+            path,
+            headers: {
+                ...(payload !== undefined && { "Content-Type": "application/json" }),
+                ...headers,
+            },
+        }, (res) => {
+            let text = "";
+            res.setEncoding("utf8");
+            res.on("data", (chunk) => { text += chunk; });
+            res.on("end", () => {
+                let json;
+                try {
+                    json = JSON.parse(text);
+                } catch { }
+                resolve({ status: res.statusCode, headers: res.headers, body: text, json });
+            });
+            res.on("error", reject);
+        });
+        req.on("error", reject);
+        req.end(payload);
+    });
+}
+
+/**
+ * The `data:` payloads of an SSE body, parsed where they are JSON.
+ */
+export function sseData(body) {
+    return body.split("\n")
+        .filter((line) => line.startsWith("data: "))
+        .map((line) => {
+            const data = line.slice(6);
+            try {
+                return JSON.parse(data);
+            } catch {
+                return data;
+            }
+        });
+}
+
+/**
+ * Resolve once `check()` is truthy, polling every 50 ms for up to `ms`.
+ */
+export async function waitFor(check, ms = 5000) {
+    const deadline = Date.now() + ms;
+    while (Date.now() < deadline) {
+        const value = await check();
+        if (value) return value;
+        await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    throw new Error("timed out waiting");
+}
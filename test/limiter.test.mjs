@@ -0,0 +1,69 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge } from "./helpers.mjs";
+
+const bridges = [];
+after(() => Promise.all(bridges.map((bridge) => bridge.stop())));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const timed = async (bridge, model, content) => {
+    const start = Date.now();
+    const res = await bridge.request("POST", "/v1/chat/completions", { body: { model, messages: [{ role: "user", content }] } });
+    return { status: res.status, headers: res.headers, json: res.json, ms: Date.now() - start, end: Date.now() };
+};
+
+test("requests beyond the cap queue, and a full queue is a 429", async () => {
+    const bridge = await startBridge({ env: { BRIDGE_MAX_CONCURRENT: "1", BRIDGE_QUEUE_MAX: "1", BRIDGE_RETRY_AFTER_S: "7" } });
+    bridges.push(bridge);
+    const a = timed(bridge, "gemini-2.5-flash", "WAIT1000");
+    await sleep(200);
+    const b = timed(bridge, "gemini-2.5-flash", "hi");
+    await sleep(200);
+    const health = await bridge.request("GET", "/health");
+    assert.equal(health.json.concurrency.active, 1);
+    assert.equal(health.json.concurrency.queued, 1);
+
+    const c = await timed(bridge, "gemini-2.5-flash", "hi");
+    assert.equal(c.status, 429);
+    assert.equal(c.headers["retry-after"], "7");
+
+    const [doneA, doneB] = await Promise.all([a, b]);
+    assert.equal(doneA.status, 200);
+    assert.equal(doneB.status, 200);
+    assert.ok(doneB.end >= doneA.end, "B ran before A released its slot");
+    assert.equal(bridge.runs().length, 2);
+});
+
+test("a request that waits too long in the queue is a 429", async () => {
+    const bridge = await startBridge({ env: { BRIDGE_MAX_CONCURRENT: "1", BRIDGE_QUEUE_TIMEOUT_MS: "200" } });
+    bridges.push(bridge);
+    const a = timed(bridge, "gemini-2.5-flash", "WAIT1000");
+    await sleep(200);
+    const b = await timed(bridge, "gemini-2.5-flash", "hi");
+    assert.equal(b.status, 429);
+    assert.equal((await a).status, 200);
+});
+
+test("a request for a model with a free slot doesn't wait behind the queue", async () => {
+    const bridge = await startBridge({ env: { BRIDGE_MAX_CONCURRENT: "2", BRIDGE_MAX_CONCURRENT_PER_MODEL: "1" } });
+    bridges.push(bridge);
+    // A fills gemini-2.5-flash's only slot and B queues for it
+    const a = timed(bridge, "gemini-2.5-flash", "WAIT1500");
+    await sleep(200);
+    const b = timed(bridge, "gemini-2.5-flash", "hi");
+    await sleep(200);
+    // A global slot is still free for another model
+    const c = await timed(bridge, "gemini-2.5-pro", "hi");
+    assert.equal(c.status, 200);
+    assert.ok(c.ms < 800, `waited ${c.ms} ms for a free slot`);
+
+    // Releasing A's slot lets B run
+    const [doneA, doneB] = await Promise.all([a, b]);
+    assert.equal(doneA.status, 200);
+    assert.equal(doneB.status, 200);
+    assert.ok(doneB.end >= doneA.end, "B ran before A released its slot");
+    const health = await bridge.request("GET", "/health");
+    assert.equal(health.json.concurrency.active, 0);
+    assert.equal(health.json.concurrency.queued, 0);
+});
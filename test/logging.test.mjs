@@ -0,0 +1,41 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge, waitFor } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge({ env: { BRIDGE_LOG_FORMAT: "json", BRIDGE_LOG_LEVEL: "debug", BRIDGE_LOG_PROMPTS: "1" } });
+});
+after(() => bridge.stop());
+
+const entries = () => bridge.output.split("\n").filter((line) => line.startsWith("{")).map((line) => JSON.parse(line));
+const ask = (content, headers = {}) => bridge.request("POST", "/v1/chat/completions", {
+    headers,
+    body: { model: "gemini-2.5-flash", messages: [{ role: "user", content }] },
+});
+
+test("responses carry the client's X-Request-Id, or a new one", async () => {
+    const own = await ask("hi", { "X-Request-Id": "client-chosen-id" });
+    assert.equal(own.headers["x-request-id"], "client-chosen-id");
+    const generated = await ask("hi", { "X-Request-Id": "not a valid id!" });
+    assert.match(generated.headers["x-request-id"], /^[0-9a-f-]{36}$/);
+});
+
+test("JSON logs name the request and the event", async () => {
+    await ask("hi", { "X-Request-Id": "json-log-id" });
+    const completed = await waitFor(() => entries().find((entry) => entry.requestId === "json-log-id" && entry.event === "request.completed"));
+    assert.equal(completed.level, "info");
+    assert.equal(completed.model, "gemini-2.5-flash");
+    assert.ok(entries().some((entry) => entry.requestId === "json-log-id" && entry.event === "request.start"));
+});
+
+test("secrets are masked even in logged prompts", async () => {
+    await ask("my api_key=sk-do-not-log-this and Bearer ya29.secret-token", { "X-Request-Id": "redacted-id" });
+    await waitFor(() => entries().some((entry) => entry.requestId === "redacted-id" && entry.event === "request.completed"));
+    assert.match(bridge.output, /api_key=\[REDACTED\]/);
+    assert.doesNotMatch(bridge.output, /sk-do-not-log-this|ya29\.secret-token/);
+});
+
+test("an unknown BRIDGE_LOG_LEVEL stops the bridge at startup", async () => {
+    await assert.rejects(startBridge({ env: { BRIDGE_LOG_LEVEL: "verbose" } }), /Unknown BRIDGE_LOG_LEVEL "verbose"/);
+});
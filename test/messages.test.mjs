@@ -0,0 +1,77 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge, sseData } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge();
+});
+after(() => bridge.stop());
+
+const ask = (extra) => bridge.request("POST", "/v1/messages", {
+    body: { model: "gemini-2.5-flash", max_tokens: 100, messages: [{ role: "user", content: "hi" }], ...extra },
+});
+const events = (body) => body.split("\n").filter((line) => line.startsWith("event: ")).map((line) => line.slice(7));
+
+test("a message gets an Anthropic-format reply", async () => {
+    const res = await ask({ system: "Be brief." });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.type, "message");
+    assert.equal(res.json.role, "assistant");
+    assert.deepEqual(res.json.content, [{ type: "text", text: "Hello from gemini-2.5-flash" }]);
+    assert.equal(res.json.stop_reason, "end_turn");
+    assert.match(bridge.runs().at(-1).prompt, /Be brief\./);
+});
+
+test("a streamed message sends the Anthropic event sequence", async () => {
+    const res = await ask({ stream: true });
+    assert.deepEqual([...new Set(events(res.body))], [
+        "message_start", "content_block_start", "content_block_delta", "content_block_stop", "message_delta", "message_stop",
+    ]);
+    const text = sseData(res.body).filter((data) => data.type === "content_block_delta").map((data) => data.delta.text).join("");
+    assert.equal(text, "Hello from gemini-2.5-flash");
+});
+
+test("tool calls come back as tool_use blocks", async () => {
+    const res = await ask({
+        tools: [{ name: "get_weather", input_schema: { type: "object", properties: { city: { type: "string" } } } }],
+        messages: [{ role: "user", content: "TOOLCALL" }],
+    });
+    assert.equal(res.json.stop_reason, "tool_use");
+    const call = res.json.content.find((block) => block.type === "tool_use");
+    assert.equal(call.name, "get_weather");
+    assert.deepEqual(call.input, { city: "Paris" });
+});
+
+test("errors use the Anthropic error format", async () => {
+    const res = await bridge.request("POST", "/v1/messages", { body: "{" });
+    assert.equal(res.status, 400);
+    assert.equal(res.json.type, "error");
+    assert.equal(res.json.error.type, "invalid_request_error");
+
+    const keyed = await startBridge({ env: { BRIDGE_API_KEYS: "secret-key" } });
+    try {
+        const unauthorized = await keyed.request("POST", "/v1/messages", { body: { model: "gemini-2.5-flash", max_tokens: 100, messages: [] } });
+        assert.equal(unauthorized.status, 401);
+        assert.equal(unauthorized.json.error.type, "authentication_error");
+    } finally {
+        await keyed.stop();
+    }
+});
+
+test("a stream that only reported activity still falls back", async () => {
+    const fallback = await startBridge({ env: { BRIDGE_FALLBACK_CHAIN: "gemini-2.5-pro>gemini-2.5-flash" } });
+    try {
+        const res = await fallback.request("POST", "/v1/messages", {
+            headers: { "X-Bridge-Activity": "events" },
+            body: { model: "gemini-2.5-pro", max_tokens: 100, stream: true, messages: [{ role: "user", content: "TOOLUSE RATELIMIT:gemini-2.5-pro" }] },
+        });
+        assert.ok(events(res.body).includes("bridge.activity"), res.body);
+        assert.ok(!events(res.body).includes("error"), res.body);
+        const text = sseData(res.body).filter((data) => data.type === "content_block_delta").map((data) => data.delta.text).join("");
+        assert.equal(text, "Hello from gemini-2.5-flash");
+        assert.deepEqual(fallback.runs().map((run) => run.model), ["gemini-2.5-pro", "gemini-2.5-flash"]);
+    } finally {
+        await fallback.stop();
+    }
+});
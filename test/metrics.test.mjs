@@ -0,0 +1,43 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge();
+});
+after(() => bridge.stop());
+
+/**
+ * The value of the `name` sample whose labels include `labels`, from a
+ * Prometheus text exposition.
+ */
+function sample(text, name, labels = {}) {
+    for (const line of text.split("\n")) {
+        const match = line.match(/^(\w+)(?:\{(.*)\})? (\S+)$/);
+        if (!match || match[1] !== name) continue;
+        const found = Object.fromEntries([...(match[2] || "").matchAll(/(\w+)="([^"]*)"/g)].map(([, key, value]) => [key, value]));
+        if (Object.entries(labels).every(([key, value]) => found[key] === value)) return Number(match[3]);
+    }
+    return undefined;
+}
+
+test("runs are counted by model, stream and outcome", async () => {
+    const ask = (content, stream = false) => bridge.request("POST", "/v1/chat/completions", {
+        body: { model: "gemini-2.5-flash", stream, messages: [{ role: "user", content }] },
+    });
+    await ask("hi");
+    await ask("hi", true);
+    await ask("RATELIMIT");
+
+    const res = await bridge.request("GET", "/metrics");
+    assert.equal(res.status, 200);
+    assert.match(res.headers["content-type"], /^text\/plain/);
+    assert.equal(sample(res.body, "geminicli_bridge_requests_total", { model: "gemini-2.5-flash", stream: "false", status: "ok" }), 1);
+    assert.equal(sample(res.body, "geminicli_bridge_requests_total", { model: "gemini-2.5-flash", stream: "true", status: "ok" }), 1);
+    assert.equal(sample(res.body, "geminicli_bridge_requests_total", { model: "gemini-2.5-flash", status: "rate_limit" }), 1);
+    assert.ok(sample(res.body, "geminicli_bridge_completion_tokens_total", { model: "gemini-2.5-flash" }) > 0);
+    assert.equal(sample(res.body, "geminicli_bridge_request_duration_seconds_count", { model: "gemini-2.5-flash", stream: "false" }), 1);
+    assert.equal(sample(res.body, "geminicli_bridge_cli_processes"), 0);
+    assert.match(res.body, /# TYPE geminicli_bridge_requests_total counter/);
+});
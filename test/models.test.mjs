@@ -0,0 +1,52 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge({
+        config: {
+            models: [
+                { id: "gemini-2.5-pro", aliases: ["pro"], contextWindow: 200000, maxOutputTokens: 8192 },
+                { id: "gemini-2.5-flash", enabled: false },
+                { id: "gemini-2.5-flash-lite", capabilities: { tools: false } },
+            ],
+        },
+    });
+});
+after(() => bridge.stop());
+
+const ask = (model, extra = {}) => bridge.request("POST", "/v1/chat/completions", {
+    body: { model, messages: [{ role: "user", content: "hi" }], ...extra },
+});
+
+test("aliases and prefixes resolve to the registered model", async () => {
+    for (const name of ["pro", "gemini/pro", "bridge-gemini-cli/gemini-2.5-pro"]) {
+        const res = await ask(name);
+        assert.equal(res.status, 200, name);
+        assert.equal(bridge.runs().at(-1).model, "gemini-2.5-pro");
+    }
+    const model = await bridge.request("GET", "/v1/models/pro");
+    assert.equal(model.json.id, "gemini-2.5-pro");
+    assert.equal(model.json.context_window, 200000);
+});
+
+test("unknown and disabled models are a 404 before Gemini CLI runs", async () => {
+    const runs = bridge.runs().length;
+    for (const name of ["gemini-9-ultra", "gemini-2.5-flash"]) {
+        const res = await ask(name);
+        assert.equal(res.status, 404, name);
+        assert.equal(res.json.error.type, "model_not_found");
+    }
+    assert.equal((await bridge.request("GET", "/v1/models/gemini-2.5-flash")).status, 404);
+    const list = await bridge.request("GET", "/v1/models");
+    assert.ok(!list.json.data.some((model) => model.id === "gemini-2.5-flash"));
+    assert.equal(bridge.runs().length, runs);
+});
+
+test("a model without tool support rejects tools", async () => {
+    const res = await ask("gemini-2.5-flash-lite", {
+        tools: [{ type: "function", function: { name: "get_weather", parameters: { type: "object", properties: {} } } }],
+    });
+    assert.equal(res.status, 400);
+});
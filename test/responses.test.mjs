@@ -0,0 +1,132 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, statSync } from "node:fs";
+import { join } from "node:path";
+import { startBridge, sseData, waitFor } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge();
+});
+after(() => bridge.stop());
+
+test("a valid request gets a response", async () => {
+    const res = await bridge.request("POST", "/v1/responses", { body: { model: "gemini-2.5-flash", input: "hi" } });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.object, "response");
+    assert.equal(res.json.status, "completed");
+    assert.match(res.json.output[0].content[0].text, /Hello from gemini-2.5-flash/);
+});
+
+test("previous_response_id continues the stored conversation", async () => {
+    const first = await bridge.request("POST", "/v1/responses", {
+        body: { model: "gemini-2.5-flash", instructions: "Be brief.", input: "remember the word pineapple" },
+    });
+    const next = await bridge.request("POST", "/v1/responses", {
+        body: { model: "gemini-2.5-flash", previous_response_id: first.json.id, input: "which word?" },
+    });
+    assert.equal(next.status, 200);
+    assert.equal(next.json.previous_response_id, first.json.id);
+    const { prompt } = bridge.runs().at(-1);
+    assert.match(prompt, /pineapple[\s\S]*Hello from gemini-2.5-flash[\s\S]*which word\?/);
+    // Instructions don't carry over
+    assert.doesNotMatch(prompt, /Be brief/);
+
+    const unknown = await bridge.request("POST", "/v1/responses", {
+        body: { model: "gemini-2.5-flash", previous_response_id: "resp_unknown", input: "hi" },
+    });
+    assert.equal(unknown.status, 400);
+});
+
+test("responses with store: false can't be continued", async () => {
+    const first = await bridge.request("POST", "/v1/responses", { body: { model: "gemini-2.5-flash", store: false, input: "hi" } });
+    assert.equal(first.status, 200);
+    const next = await bridge.request("POST", "/v1/responses", {
+        body: { model: "gemini-2.5-flash", previous_response_id: first.json.id, input: "more" },
+    });
+    assert.equal(next.status, 400);
+});
+
+test("a streamed response sends Responses events", async () => {
+    const res = await bridge.request("POST", "/v1/responses", { body: { model: "gemini-2.5-flash", stream: true, input: "hi" } });
+    const data = sseData(res.body);
+    assert.equal(data[0].type, "response.created");
+    assert.equal(data.at(-1).type, "response.completed");
+    const text = data.filter((event) => event.type === "response.output_text.delta").map((event) => event.delta).join("");
+    assert.equal(text, "Hello from gemini-2.5-flash");
+});
+
+test("input items that aren't objects are a 400, not a crash", async () => {
+    for (const [input, message] of [
+        [[null], "input[0] must be an object"],
+        [["hello"], "input[0] must be an object"],
+        [[{ role: "user", content: [null] }], "input[0].content[0] must be an object"],
+    ]) {
+        const res = await bridge.request("POST", "/v1/responses", { body: { model: "gemini-2.5-flash", input } });
+        assert.equal(res.status, 400);
+        assert.equal(res.json.error.type, "invalid_request");
+        assert.equal(res.json.error.message, message);
+    }
+    assert.ok(bridge.running);
+});
+
+test("a body that isn't an object is a 400", async () => {
+    const res = await bridge.request("POST", "/v1/responses", { body: "null" });
+    assert.equal(res.status, 400);
+    assert.ok(bridge.running);
+});
+
+test("stored responses leave out inline attachment data", async () => {
+    const image = Buffer.alloc(4096, 7).toString("base64");
+    const first = await bridge.request("POST", "/v1/responses", {
+        body: {
+            model: "gemini-2.5-flash",
+            input: [{ role: "user", content: [{ type: "input_text", text: "look" }, { type: "input_image", image_url: `data:image/png;base64,${image}` }] }],
+        },
+    });
+    assert.equal(first.status, 200);
+    const stored = await waitFor(() => {
+        try {
+            const text = readFileSync(join(bridge.dir, "data", "responses.json"), "utf8");
+            return text.includes(first.json.id) && text;
+        } catch {
+            return false;
+        }
+    });
+    assert.ok(!stored.includes(image));
+    assert.ok(stored.includes("[image attachment not kept]"));
+
+    const next = await bridge.request("POST", "/v1/responses", {
+        body: { model: "gemini-2.5-flash", previous_response_id: first.json.id, input: "and now?" },
+    });
+    assert.equal(next.status, 200);
+});
+
+test("the store drops the oldest responses beyond its size cap", async () => {
+    const small = await startBridge({ env: { BRIDGE_RESPONSE_MAX_BYTES: "3000" } });
+    try {
+        const ids = [];
+        for (let i = 0; i < 4; i++) {
+            const res = await small.request("POST", "/v1/responses", { body: { model: "gemini-2.5-flash", input: `${i} ${"x".repeat(900)}` } });
+            ids.push(res.json.id);
+        }
+        const oldest = await small.request("POST", "/v1/responses", {
+            body: { model: "gemini-2.5-flash", previous_response_id: ids[0], input: "more" },
+        });
+        assert.equal(oldest.status, 400);
+        const newest = await small.request("POST", "/v1/responses", {
+            body: { model: "gemini-2.5-flash", previous_response_id: ids[3], input: "more" },
+        });
+        assert.equal(newest.status, 200);
+        const size = await waitFor(() => {
+            try {
+                return statSync(join(small.dir, "data", "responses.json")).size;
+            } catch {
+                return 0;
+            }
+        });
+        assert.ok(size <= 3000, `store is ${size} bytes`);
+    } finally {
+        await small.stop();
+    }
+});
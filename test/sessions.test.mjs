@@ -0,0 +1,47 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge({ env: { BRIDGE_SESSION_REUSE: "1" } });
+});
+after(() => bridge.stop());
+
+const ask = (messages, headers = {}) => bridge.request("POST", "/v1/chat/completions", {
+    headers,
+    body: { model: "gemini-2.5-flash", messages },
+});
+const reply = { role: "assistant", content: "Hello from gemini-2.5-flash" };
+
+test("a continuing conversation resumes the CLI session with only the new turns", async () => {
+    const first = await ask([{ role: "user", content: "first question" }]);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers["x-session-mode"], "new");
+
+    const second = await ask([{ role: "user", content: "first question" }, reply, { role: "user", content: "second question" }]);
+    assert.equal(second.status, 200);
+    assert.equal(second.headers["x-session-mode"], "resumed");
+    const { args, prompt } = bridge.runs().at(-1);
+    assert.equal(args[args.indexOf("--resume") + 1], "session-1");
+    assert.match(prompt, /second question/);
+    assert.doesNotMatch(prompt, /first question/);
+});
+
+test("a changed history is replayed in full", async () => {
+    await ask([{ role: "user", content: "one" }]);
+    const edited = await ask([{ role: "user", content: "one" }, { role: "assistant", content: "something else" }, { role: "user", content: "two" }]);
+    assert.equal(edited.status, 200);
+    assert.notEqual(edited.headers["x-session-mode"], "resumed");
+    const { args, prompt } = bridge.runs().at(-1);
+    assert.ok(!args.includes("--resume"));
+    assert.match(prompt, /one[\s\S]*something else[\s\S]*two/);
+});
+
+test("X-Conversation-Id ties turns together", async () => {
+    const headers = { "X-Conversation-Id": "conversation-a" };
+    await ask([{ role: "user", content: "hello there" }], headers);
+    const next = await ask([{ role: "user", content: "hello there" }, reply, { role: "user", content: "and now?" }], headers);
+    assert.equal(next.headers["x-session-mode"], "resumed");
+    assert.equal(next.headers["x-conversation-id"], "conversation-a");
+});
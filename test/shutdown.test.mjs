@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge, waitFor } from "./helpers.mjs";
+
+const ask = (bridge, content) => bridge.request("POST", "/v1/chat/completions", {
+    body: { model: "gemini-2.5-flash", messages: [{ role: "user", content }] },
+});
+
+const alive = (pid) => {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+test("on SIGTERM in-flight requests finish and new ones get a 503", async () => {
+    const bridge = await startBridge({ env: { BRIDGE_SHUTDOWN_GRACE_MS: "5000", BRIDGE_RETRY_AFTER_S: "3" } });
+    try {
+        const pending = ask(bridge, "WAIT500");
+        await waitFor(() => bridge.runs().length === 1);
+        bridge.proc.kill("SIGTERM");
+
+        const refused = await waitFor(async () => {
+            const res = await ask(bridge, "hi");
+            return res.status === 503 && res;
+        });
+        assert.equal(refused.json.error.type, "shutting_down");
+        assert.equal(refused.headers["retry-after"], "3");
+
+        const res = await pending;
+        assert.equal(res.status, 200);
+        assert.equal(res.json.choices[0].message.content, "Hello from gemini-2.5-flash");
+        await waitFor(() => !bridge.running);
+    } finally {
+        await bridge.stop();
+    }
+});
+
+test("runs still going after the grace period are stopped", async () => {
+    const bridge = await startBridge({ env: { BRIDGE_SHUTDOWN_GRACE_MS: "200" } });
+    try {
+        const pending = ask(bridge, "SLOW");
+        await waitFor(() => bridge.runs().length === 1);
+        const { pid } = bridge.runs()[0];
+        bridge.proc.kill("SIGTERM");
+
+        const res = await pending;
+        assert.equal(res.status, 503);
+        assert.equal(res.json.error.type, "shutting_down");
+        await waitFor(() => !alive(pid));
+    } finally {
+        await bridge.stop();
+    }
+});
@@ -0,0 +1,111 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge, sseData } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge();
+});
+after(() => bridge.stop());
+
+const completion = (schema, content = "hi") => bridge.request("POST", "/v1/chat/completions", {
+    body: {
+        model: "gemini-2.5-flash",
+        messages: [{ role: "user", content }],
+        response_format: { type: "json_schema", json_schema: { name: "answer", schema } },
+    },
+});
+
+const point = {
+    type: "object",
+    properties: { x: { type: "integer" }, y: { type: "integer", minimum: 0 } },
+    required: ["x", "y"],
+    additionalProperties: false,
+};
+
+test("a reply matching the schema is returned as is", async () => {
+    const res = await completion(point, 'REPLY{"x":1,"y":2}END');
+    assert.equal(res.status, 200);
+    assert.deepEqual(JSON.parse(res.json.choices[0].message.content), { x: 1, y: 2 });
+    assert.match(bridge.runs().at(-1).prompt, /"additionalProperties":\s*false/);
+});
+
+test("an invalid reply is retried with the errors, then fails when strict", async () => {
+    const runs = bridge.runs().length;
+    const res = await bridge.request("POST", "/v1/chat/completions", {
+        body: {
+            model: "gemini-2.5-flash",
+            messages: [{ role: "user", content: 'REPLY{"x":1,"y":-2}END' }],
+            response_format: { type: "json_schema", json_schema: { name: "answer", schema: point, strict: true } },
+        },
+    });
+    assert.equal(res.status, 502);
+    assert.equal(res.json.error.type, "invalid_output");
+    assert.match(res.json.error.message, /y/);
+    const [first, retry] = bridge.runs().slice(runs);
+    assert.equal(bridge.runs().length, runs + 2);
+    assert.ok(retry.prompt.length > first.prompt.length);
+});
+
+test("without strict, an invalid reply is passed through after the retries", async () => {
+    const res = await completion(point, 'REPLY{"x":"one","y":2}END');
+    assert.equal(res.status, 200);
+    assert.deepEqual(JSON.parse(res.json.choices[0].message.content), { x: "one", y: 2 });
+});
+
+test("json_object replies must parse, and streams get the JSON in one chunk", async () => {
+    const res = await bridge.request("POST", "/v1/chat/completions", {
+        body: {
+            model: "gemini-2.5-flash",
+            stream: true,
+            messages: [{ role: "user", content: 'REPLY{"answer":"a fairly long value to split"}END' }],
+            response_format: { type: "json_object" },
+        },
+    });
+    const deltas = sseData(res.body)
+        .filter((data) => typeof data === "object")
+        .map((chunk) => chunk.choices[0]?.delta?.content)
+        .filter(Boolean);
+    assert.deepEqual(deltas, ['{"answer":"a fairly long value to split"}']);
+});
+
+test("cyclic and unresolvable $refs are a 400 before Gemini CLI runs", async () => {
+    for (const schema of [
+        { $ref: "#" },
+        { allOf: [{ $ref: "#" }] },
+        { $defs: { a: { $ref: "#/$defs/b" }, b: { $ref: "#/$defs/a" } }, $ref: "#/$defs/a" },
+        { $ref: "#/$defs/missing" },
+        { $ref: "https://example.com/schema.json" },
+        { $ref: "#/%" },
+        { anyOf: {} },
+    ]) {
+        const res = await completion(schema);
+        assert.equal(res.status, 400, JSON.stringify(schema));
+        assert.match(res.json.error.message, /^response_format\.json_schema\.schema: /);
+    }
+    assert.ok(bridge.running);
+});
+
+test("recursive schemas that descend into the value still validate", async () => {
+    const tree = {
+        type: "object",
+        properties: { name: { type: "string" }, children: { type: "array", items: { $ref: "#" } } },
+        required: ["name"],
+    };
+    const res = await completion(tree, 'REPLY{"name":"a","children":[{"name":"b","children":[]}]}END');
+    assert.equal(res.status, 200);
+    assert.deepEqual(JSON.parse(res.json.choices[0].message.content), { name: "a", children: [{ name: "b", children: [] }] });
+});
+
+test("multipleOf allows for floating point error", async () => {
+    const price = { type: "object", properties: { price: { type: "number", multipleOf: 0.01 } }, required: ["price"] };
+    let runs = bridge.runs().length;
+    assert.equal((await completion(price, 'REPLY{"price":19.99}END')).status, 200);
+    assert.equal(bridge.runs().length, runs + 1);
+
+    // Not a multiple: retried with the error
+    runs = bridge.runs().length;
+    await completion(price, 'REPLY{"price":19.995}END');
+    assert.equal(bridge.runs().length, runs + 2);
+    assert.match(bridge.runs().at(-1).prompt, /multiple of 0\.01/);
+});
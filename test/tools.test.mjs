@@ -0,0 +1,73 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge, sseData } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge();
+});
+after(() => bridge.stop());
+
+const weatherTool = {
+    type: "function",
+    function: { name: "get_weather", parameters: { type: "object", properties: { city: { type: "string" } } } },
+};
+
+test("a <tool_call> block comes back as tool_calls", async () => {
+    const res = await bridge.request("POST", "/v1/chat/completions", {
+        body: { model: "gemini-2.5-flash", tools: [weatherTool], messages: [{ role: "user", content: "TOOLCALL" }] },
+    });
+    assert.equal(res.status, 200);
+    const [choice] = res.json.choices;
+    assert.equal(choice.finish_reason, "tool_calls");
+    assert.equal(choice.message.content.trim(), "Let me check.");
+    assert.equal(choice.message.tool_calls[0].type, "function");
+    assert.equal(choice.message.tool_calls[0].function.name, "get_weather");
+    assert.deepEqual(JSON.parse(choice.message.tool_calls[0].function.arguments), { city: "Paris" });
+    assert.match(bridge.runs().at(-1).prompt, /get_weather/);
+});
+
+test("streamed tool calls arrive as deltas without the raw block", async () => {
+    const res = await bridge.request("POST", "/v1/chat/completions", {
+        body: { model: "gemini-2.5-flash", stream: true, tools: [weatherTool], messages: [{ role: "user", content: "TOOLCALL" }] },
+    });
+    const chunks = sseData(res.body).filter((data) => typeof data === "object");
+    const text = chunks.map((c) => c.choices[0]?.delta?.content || "").join("");
+    const calls = chunks.flatMap((c) => c.choices[0]?.delta?.tool_calls || []);
+    assert.doesNotMatch(text, /tool_call/);
+    assert.equal(calls[0].function.name, "get_weather");
+    assert.equal(chunks.at(-1).choices[0].finish_reason, "tool_calls");
+});
+
+test("earlier tool calls and results are replayed into the prompt", async () => {
+    const res = await bridge.request("POST", "/v1/chat/completions", {
+        body: {
+            model: "gemini-2.5-flash",
+            tools: [weatherTool],
+            messages: [
+                { role: "user", content: "Weather in Paris?" },
+                { role: "assistant", content: null, tool_calls: [{ id: "call_1", type: "function", function: { name: "get_weather", arguments: '{"city":"Paris"}' } }] },
+                { role: "tool", tool_call_id: "call_1", content: "Sunny, 21°C" },
+            ],
+        },
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.json.choices[0].finish_reason, "stop");
+    const { prompt } = bridge.runs().at(-1);
+    assert.match(prompt, /get_weather/);
+    assert.match(prompt, /call_1[\s\S]*Sunny, 21°C/);
+});
+
+test("held-back tool calls are sent when the CLI exits without a result event", async () => {
+    const res = await bridge.request("POST", "/v1/chat/completions", {
+        body: { model: "gemini-2.5-flash", stream: true, tools: [weatherTool], messages: [{ role: "user", content: "TOOLCALL NORESULT" }] },
+    });
+    assert.equal(res.status, 200);
+    const chunks = sseData(res.body).filter((data) => typeof data === "object");
+    const text = chunks.map((c) => c.choices[0]?.delta?.content || "").join("");
+    const calls = chunks.flatMap((c) => c.choices[0]?.delta?.tool_calls || []);
+    assert.equal(text.trim(), "Let me check.");
+    assert.equal(calls[0].function.name, "get_weather");
+    assert.deepEqual(JSON.parse(calls[0].function.arguments), { city: "Paris" });
+    assert.equal(chunks.at(-1).choices[0].finish_reason, "tool_calls");
+});
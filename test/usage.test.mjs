@@ -0,0 +1,73 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { startBridge, waitFor } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge();
+});
+after(() => bridge.stop());
+
+const chat = { model: "gemini-2.5-flash", messages: [{ role: "user", content: "hi" }] };
+
+test("a date range reports the requests in it", async () => {
+    await bridge.request("POST", "/v1/chat/completions", { body: chat });
+    const today = new Date().toISOString().slice(0, 10);
+    const res = await bridge.request("GET", `/v1/usage?from=${today}&to=${today}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.json.from, today);
+    assert.equal(res.json.totals.requests, 1);
+
+    const ledger = await waitFor(() => {
+        try {
+            return readFileSync(join(bridge.dir, "data", "usage.jsonl"), "utf8").trim().split("\n").map((line) => JSON.parse(line));
+        } catch {
+            return null;
+        }
+    });
+    assert.equal(ledger.length, 1);
+    assert.equal(ledger[0].model, "gemini-2.5-flash");
+    assert.equal(ledger[0].outcome, "completed");
+    assert.ok(ledger[0].totalTokens > 0);
+});
+
+test("keys see their own usage and run out of their daily quota", async () => {
+    const keyed = await startBridge({
+        config: {
+            keys: [
+                { key: "ops-key", label: "ops", admin: true },
+                { key: "app-key", label: "app", quota: { dailyRequests: 1 } },
+            ],
+        },
+    });
+    try {
+        const as = (key, options = {}) => ({ ...options, headers: { Authorization: `Bearer ${key}` } });
+        assert.equal((await keyed.request("POST", "/v1/chat/completions", as("app-key", { body: chat }))).status, 200);
+        const over = await keyed.request("POST", "/v1/chat/completions", as("app-key", { body: chat }));
+        assert.equal(over.status, 429);
+        assert.equal(over.json.error.type, "quota_exceeded");
+        assert.ok(Number(over.headers["retry-after"]) > 0);
+        assert.equal(keyed.runs().length, 1);
+
+        await keyed.request("POST", "/v1/chat/completions", as("ops-key", { body: chat }));
+        const own = await keyed.request("GET", "/v1/usage", as("app-key"));
+        assert.equal(own.json.totals.requests, 1);
+        const all = await keyed.request("GET", "/v1/usage", as("ops-key"));
+        assert.equal(all.json.totals.requests, 2);
+        const app = await keyed.request("GET", "/v1/usage?client=app", as("ops-key"));
+        assert.equal(app.json.totals.requests, 1);
+    } finally {
+        await keyed.stop();
+    }
+});
+
+test("invalid dates are a 400, not a crash", async () => {
+    for (const query of ["to=garbage", "from=garbage", "to=2026-02-30", "from=2026-13-01&to=2026-12-31", "from=2026-02-02&to=2026-02-01"]) {
+        const res = await bridge.request("GET", `/v1/usage?${query}`);
+        assert.equal(res.status, 400, query);
+        assert.equal(res.json.error.type, "invalid_request");
+    }
+    assert.ok(bridge.running);
+});
@@ -0,0 +1,65 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startBridge } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge();
+});
+after(() => bridge.stop());
+
+test("chat completions with malformed messages are a 400 naming the field", async () => {
+    for (const [body, message] of [
+        [{ model: "gemini-2.5-flash", messages: "hello" }, "messages must be an array of message objects"],
+        [{ model: "gemini-2.5-flash", messages: { role: "user" } }, "messages must be an array of message objects"],
+        [{ model: "gemini-2.5-flash", messages: [null] }, "messages[0] must be an object"],
+        [{ model: "gemini-2.5-flash", messages: [{ role: "user", content: 42 }] }, "messages[0].content must be a string or an array of content parts"],
+        [{ model: "gemini-2.5-flash", messages: [{ role: "user", content: [null] }] }, "messages[0].content[0] must be an object"],
+        [{ model: "gemini-2.5-flash", messages: [{ role: "assistant", content: "", tool_calls: "x" }] }, "messages[0].tool_calls must be an array of tool call objects"],
+        [[], "The request body must be a JSON object"],
+    ]) {
+        const res = await bridge.request("POST", "/v1/chat/completions", { body });
+        assert.equal(res.status, 400, res.body);
+        assert.equal(res.json.error.type, "invalid_request");
+        assert.equal(res.json.error.message, message);
+    }
+    const res = await bridge.request("POST", "/v1/chat/completions", { body: "null" });
+    assert.equal(res.status, 400);
+    assert.ok(bridge.running);
+});
+
+test("messages requests tell invalid JSON apart from a malformed body", async () => {
+    const invalid = await bridge.request("POST", "/v1/messages", { body: "{" });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.json.error.message, "Invalid JSON in request body");
+
+    for (const [body, message] of [
+        [null, "The request body must be a JSON object"],
+        [{ model: "gemini-2.5-flash", max_tokens: 10, messages: "hello" }, "messages must be an array of message objects"],
+        [{ model: "gemini-2.5-flash", max_tokens: 10, messages: [null] }, "messages[0] must be an object"],
+        [{ model: "gemini-2.5-flash", max_tokens: 10, messages: [{ role: "user", content: 42 }] }, "messages[0].content must be a string or an array of content blocks"],
+        [{ model: "gemini-2.5-flash", max_tokens: 10, messages: [{ role: "user", content: [null] }] }, "messages[0].content[0] must be an object"],
+        [{ model: "gemini-2.5-flash", max_tokens: 10, system: 42, messages: [{ role: "user", content: "hi" }] }, "system must be a string or an array of content blocks"],
+    ]) {
+        const res = await bridge.request("POST", "/v1/messages", { body: JSON.stringify(body) });
+        assert.equal(res.status, 400, res.body);
+        assert.equal(res.json.type, "error");
+        assert.equal(res.json.error.type, "invalid_request_error");
+        assert.equal(res.json.error.message, message);
+    }
+    assert.ok(bridge.running);
+});
+
+test("well-formed requests still get a response", async () => {
+    const chat = await bridge.request("POST", "/v1/chat/completions", {
+        body: { model: "gemini-2.5-flash", messages: [{ role: "user", content: [{ type: "text", text: "hi" }] }] },
+    });
+    assert.equal(chat.status, 200);
+    assert.match(chat.json.choices[0].message.content, /Hello from gemini-2.5-flash/);
+
+    const messages = await bridge.request("POST", "/v1/messages", {
+        body: { model: "gemini-2.5-flash", max_tokens: 10, system: [{ type: "text", text: "Be brief." }], messages: [{ role: "user", content: "hi" }] },
+    });
+    assert.equal(messages.status, 200);
+    assert.match(messages.json.content[0].text, /Hello from gemini-2.5-flash/);
+});
@@ -0,0 +1,58 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, symlinkSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { startBridge, waitFor } from "./helpers.mjs";
+
+let bridge;
+before(async () => {
+    bridge = await startBridge({ env: { BRIDGE_WARM_POOL_SIZE: "1" } });
+});
+after(() => bridge.stop());
+
+const warmReady = (target = bridge) => waitFor(async () => /geminicli_bridge_warm_processes 1\b/.test((await target.request("GET", "/metrics")).body));
+const ask = (model) => bridge.request("POST", "/v1/chat/completions", {
+    body: { model, messages: [{ role: "user", content: "hi" }] },
+});
+
+test("a request for the warm model takes the waiting process, which is replaced", async () => {
+    await warmReady();
+    const res = await ask("gemini-3-flash-preview");
+    assert.equal(res.status, 200, res.body);
+    assert.equal(res.json.choices[0].message.content, "Hello from gemini-3-flash-preview");
+    assert.equal(bridge.output.match(/\(warm\)/g)?.length, 1, bridge.output);
+    await warmReady();
+});
+
+test("other models start a fresh process", async () => {
+    await warmReady();
+    const res = await ask("gemini-2.5-flash");
+    assert.equal(res.status, 200);
+    assert.equal(bridge.output.match(/\(warm\)/g)?.length, 1, bridge.output);
+    assert.match(bridge.output, /model=gemini-2\.5-flash .*\(arg\)/);
+});
+
+test("a warm process serves the default working directory however it is spelled", async () => {
+    const dir = mkdtempSync(join(tmpdir(), "geminicli-bridge-warm-"));
+    symlinkSync(dir, `${dir}-link`);
+    const spelled = await startBridge({
+        // The same directory spelled three ways
+        env: { GEMINI_WORKING_DIR: `${dir}/`, BRIDGE_WARM_POOL_SIZE: "1", BRIDGE_WORKSPACES: `link=${dir}-link` },
+    });
+    try {
+        await warmReady(spelled);
+        for (const workspace of [undefined, "link"]) {
+            const res = await spelled.request("POST", "/v1/chat/completions", {
+                body: { model: "gemini-3-flash-preview", workspace, messages: [{ role: "user", content: "hi" }] },
+            });
+            assert.equal(res.status, 200, res.body);
+            await warmReady(spelled);
+        }
+        assert.equal(spelled.output.match(/\(warm\)/g)?.length, 2, spelled.output);
+    } finally {
+        await spelled.stop();
+        rmSync(`${dir}-link`, { force: true });
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,51 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, realpathSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { startBridge } from "./helpers.mjs";
+
+let bridge, notes;
+before(async () => {
+    notes = mkdtempSync(join(tmpdir(), "geminicli-bridge-notes-"));
+    bridge = await startBridge({
+        env: { BRIDGE_WORKSPACES: `notes=${notes}`, BRIDGE_ALLOWED_APPROVAL_MODES: "plan,default,yolo" },
+    });
+});
+after(async () => {
+    await bridge.stop();
+    rmSync(notes, { recursive: true, force: true });
+});
+
+const ask = (extra) => bridge.request("POST", "/v1/chat/completions", {
+    body: { model: "gemini-2.5-flash", messages: [{ role: "user", content: "hi" }], ...extra },
+});
+const approvalOf = ({ args }) => (args.includes("-y") ? "yolo" : args[args.indexOf("--approval-mode") + 1]);
+
+test("a request picks its approval mode and workspace", async () => {
+    const res = await ask({ approval_mode: "plan", workspace: "notes" });
+    assert.equal(res.status, 200);
+    const run = bridge.runs().at(-1);
+    assert.equal(approvalOf(run), "plan");
+    assert.equal(realpathSync(run.cwd), realpathSync(notes));
+
+    assert.equal((await ask({})).status, 200);
+    assert.equal(approvalOf(bridge.runs().at(-1)), "yolo");
+    assert.equal(realpathSync(bridge.runs().at(-1).cwd), realpathSync(bridge.dir));
+});
+
+test("model id suffixes select them too", async () => {
+    const res = await ask({ model: "gemini-2.5-flash@plan@notes" });
+    assert.equal(res.status, 200);
+    const run = bridge.runs().at(-1);
+    assert.equal(run.model, "gemini-2.5-flash");
+    assert.equal(approvalOf(run), "plan");
+    assert.equal(realpathSync(run.cwd), realpathSync(notes));
+});
+
+test("unknown workspaces and modes off the allowlist are refused", async () => {
+    const runs = bridge.runs().length;
+    assert.equal((await ask({ workspace: "elsewhere" })).status, 400);
+    assert.equal((await ask({ approval_mode: "auto_edit" })).status, 403);
+    assert.equal(bridge.runs().length, runs);
+});